@@ -0,0 +1,260 @@
+// Anchoring checks: placing stored comments back into edited code (placeComments / injectComments),
+// by exact anchor or by similarity, inside their own symbol (symbolPathsByLine) and following a git diff
+// (buildLineMap / migrateCommentAnchors), and matching document comments to stored ids and wordings
+// (matchStoredComments / unstoredComments)
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const FILE = "/work/src/app.js";
+
+const commented = [
+  "// Application entry",
+  "",
+  "function add(a, b) {",
+  "  // Sum two numbers",
+  "  return a + b; // plain addition",
+  "}",
+  "",
+  "function greet(name) {",
+  "  // Build the greeting",
+  "  const message = `Hello, ${name}`;",
+  "  return message;",
+  "}",
+].join("\n");
+
+// Values built inside the loaded script come from another realm - copy them before deepStrictEqual
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Stored comments and the clean text, the way the toggle produces them
+function store(text) {
+  const comments = vcm.extractComments(text, FILE);
+  return { comments, clean: vcm.stripComments(text, FILE, comments) };
+}
+
+// Comment line number -> its text, from a placement
+function placedBlocks(placement) {
+  const out = {};
+  placement.blockMap.forEach((blocks, i) => (out[i] = blocks.flatMap(b => b.block.map(l => l.text.trim()).filter(Boolean))));
+  return out;
+}
+
+test("header and footer comments stay at the start and end of the file", () => {
+  const { comments, clean } = store("// License header\n\nconst a = 1;\nconst b = 2;\n// End of module");
+  assert.strictEqual(clean.trim(), "const a = 1;\nconst b = 2;");
+
+  const edited = `const first = 0;\n${clean.trim()}\nconst last = 3;`;
+  const injected = vcm.injectComments(edited, comments, false, FILE).split("\n");
+  assert.strictEqual(injected[0], "// License header");
+  assert.strictEqual(injected[injected.length - 1], "// End of module");
+});
+
+test("a file holding only comments keeps them all", () => {
+  const { comments, clean } = store("// nothing\n// but notes");
+  assert.strictEqual(clean.trim(), "");
+  assert.strictEqual(vcm.injectComments(clean, comments, false, FILE).trim(), "// nothing\n// but notes");
+});
+
+test("stripping and injecting round-trips a commented file", () => {
+  const { comments, clean } = store(commented);
+  assert.ok(!clean.includes("//"));
+  assert.strictEqual(vcm.injectComments(clean, comments, false, FILE), commented);
+});
+
+test("placeComments puts blocks above their code line and inline comments on it", () => {
+  const { comments, clean } = store(commented);
+  const placement = vcm.placeComments(clean, comments, false, FILE);
+  const lines = clean.split("\n");
+
+  const blocks = placedBlocks(placement);
+  const lineOf = (code) => lines.findIndex(l => l.trim() === code);
+  assert.deepStrictEqual(plain(blocks[lineOf("return a + b;")]), ["// Sum two numbers"]);
+  assert.deepStrictEqual(plain(blocks[lineOf("const message = `Hello, ${name}`;")]), ["// Build the greeting"]);
+  assert.deepStrictEqual(plain(placement.inlineMap.get(lineOf("return a + b;")).map(c => c.text.trim())), ["// plain addition"]);
+  assert.strictEqual(placement.fileStartBlocks.length, 1);
+});
+
+test("inline comments on identical lines are each placed exactly once", () => {
+  const twice = "let ready = true;\ncall(); // one\ncall(); // two";
+  const { comments, clean } = store(twice);
+  assert.strictEqual(vcm.injectComments(clean, comments, false, FILE), twice);
+
+  const once = store("let ready = true;\ncall();\ncall(); // only");
+  assert.strictEqual(vcm.injectComments(once.clean, once.comments, false, FILE).split("// only").length, 2);
+});
+
+test("comments follow their code when functions are reordered", () => {
+  const { comments, clean } = store(commented);
+  const [add, greet] = clean.split("\n\n"); // The header is stripped with the other comments
+  const reordered = [greet, add].join("\n\n");
+
+  const injected = vcm.injectComments(reordered, comments, false, FILE);
+  assert.match(injected, /\/\/ Build the greeting\n {2}const message/);
+  assert.match(injected, /\/\/ Sum two numbers\n {2}return a \+ b; \/\/ plain addition/);
+});
+
+test("a comment whose code is gone is orphaned, never dropped or misplaced", () => {
+  const { comments, clean } = store(commented);
+  const withoutGreet = clean.split("\n\n")[0];
+  const report = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence: false };
+
+  const injected = vcm.injectComments(withoutGreet, comments, false, FILE, report);
+  assert.ok(!injected.includes("greeting"));
+  assert.deepStrictEqual(plain(report.orphaned.map(c => c.block[0].text.trim())), ["// Build the greeting"]);
+});
+
+test("an edited anchor line is re-anchored by similarity and reported", () => {
+  const { comments, clean } = store(commented);
+  const edited = clean.replace("return a + b;", "return a + b + 0;");
+  const report = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence: false };
+
+  const injected = vcm.injectComments(edited, comments, false, FILE, report);
+  assert.match(injected, /\/\/ Sum two numbers\n {2}return a \+ b \+ 0; \/\/ plain addition/);
+  assert.strictEqual(report.orphaned.length, 0);
+  assert.strictEqual(report.reanchored.length, 2);
+  assert.strictEqual(report.reanchored[0].matchedText.trim(), "return a + b + 0;");
+});
+
+test("skipFuzzy places by anchor hash only and orphans comments on edited lines", () => {
+  const { comments, clean } = store(commented);
+  const edited = clean.replace("return a + b;", "return a + b + 0;");
+  const report = { orphaned: [], skipFuzzy: true };
+
+  const placement = vcm.placeComments(edited, comments, false, FILE, report);
+  const lines = edited.split("\n");
+  assert.deepStrictEqual(plain(placedBlocks(placement)[lines.indexOf("  const message = `Hello, ${name}`;")]), ["// Build the greeting"]);
+  assert.strictEqual(placement.inlineMap.size, 0);
+  assert.strictEqual(report.orphaned.length, 2);
+});
+
+test("the fuzzy pass stays fast on a large edited file and only looks near the old position", () => {
+  // 600 commented lines, every one of them edited afterwards, so each comment needs the fuzzy pass
+  const lines = ["let ready = true;"]; // Code first, so the first comment is not the file header
+  for (let i = 0; i < 600; i++) lines.push(`// note ${i}`, `const value${i} = compute(${i}, "some longer argument text");`);
+  const { comments, clean } = store(lines.join("\n"));
+  const edited = clean.replace(/compute\(/g, "computeAll(");
+  const report = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence: true };
+
+  const started = Date.now();
+  vcm.injectComments(edited, comments, false, FILE, report);
+  assert.ok(Date.now() - started < 5000, `fuzzy pass took ${Date.now() - started} ms`);
+  assert.strictEqual(report.reanchored.length + report.orphaned.length, comments.length);
+
+  // A line moved far beyond the search window is not hunted down across the file
+  const moved = "function far() {\n  return 42;\n}";
+  const { comments: farComments, clean: farClean } = store(`let ready = true;\n// far away\n${moved}`);
+  const padded = `${"let filler;\n".repeat(500)}${farClean.replace("function far()", "function farAway()")}`;
+  const farReport = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence: true };
+  vcm.injectComments(padded, farComments, false, FILE, farReport);
+  assert.strictEqual(farReport.reanchored.length, 0);
+  assert.strictEqual(farReport.orphaned.length, 1);
+});
+
+test("duplicate code lines keep their own comments by context", () => {
+  const text = [
+    "function a() {",
+    "  // first",
+    "  return 1;",
+    "}",
+    "function b() {",
+    "  // second",
+    "  return 1;",
+    "}",
+  ].join("\n");
+  const { comments, clean } = store(text);
+  assert.strictEqual(vcm.injectComments(clean, comments, false, FILE), text);
+});
+
+test("matchStoredComments gives document comments the ids of their stored entries", () => {
+  const { comments } = store(commented);
+  const current = vcm.extractComments(commented.replace("// Build the greeting", "// Build the greeting text"), FILE);
+  vcm.matchStoredComments(current, comments);
+
+  const idOf = (list, text) => list.find(c => vcm.commentBody(c.type === "inline" ? c.text : c.block).includes(text)).id;
+  assert.strictEqual(idOf(current, "Sum two numbers"), idOf(comments, "Sum two numbers"));
+  assert.strictEqual(idOf(current, "plain addition"), idOf(comments, "plain addition"));
+  assert.strictEqual(idOf(current, "greeting text"), idOf(comments, "Build the greeting")); // edited in place
+  assert.strictEqual(new Set(current.map(c => c.id)).size, current.length);
+});
+
+test("unstoredComments lists only comments whose wording is not stored", () => {
+  const { comments } = store(commented);
+  assert.strictEqual(vcm.unstoredComments(commented, FILE, comments).length, 0);
+
+  const edited = commented.replace("// Sum two numbers", "// Sum both numbers").replace("return message;", "return message; // new");
+  const unstored = vcm.unstoredComments(edited, FILE, comments).map(c => vcm.commentBody(c.type === "inline" ? c.text : c.block).trim());
+  assert.deepStrictEqual(Array.from(unstored), ["// Sum both numbers", "// new"]);
+});
+
+test("buildLineMap follows unchanged, edited, added and deleted lines", () => {
+  const diff = [
+    "@@ -2,3 +2,4 @@",
+    " b",
+    "-c",
+    "+C",
+    "+new",
+    " d",
+    "@@ -6 +7,0 @@",
+    "-f",
+  ].join("\n");
+  // old: a b c d e f g  ->  new: a b C new d e g
+  assert.deepStrictEqual(plain(vcm.buildLineMap(diff, 7)), [0, 1, 2, 4, 5, -1, 6]);
+});
+
+test("migrateCommentAnchors moves anchors along a diff", () => {
+  const { comments, clean } = store(commented);
+  const oldLine = "  const message = `Hello, ${name}`;";
+  const newLine = "  const message = `Hi, ${name}`;";
+  const newClean = "const VERSION = 1;\n" + clean.replace(oldLine, newLine);
+  const oldLines = clean.split("\n").length;
+  const editedLine = clean.split("\n").indexOf(oldLine);
+  const diff = `@@ -0,0 +1 @@\n+const VERSION = 1;\n@@ -${editedLine + 1} +${editedLine + 2} @@\n-${oldLine}\n+${newLine}`;
+
+  const lineMap = vcm.buildLineMap(diff, oldLines);
+  const { comments: migrated, changed } = vcm.migrateCommentAnchors(clean, newClean, lineMap, comments, FILE);
+  assert.ok(changed >= 3);
+
+  // Every comment finds its line again by hash alone - no fuzzy pass needed
+  const report = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence: false };
+  const injected = vcm.injectComments(newClean, migrated, false, FILE, report);
+  assert.strictEqual(report.reanchored.length + report.orphaned.length, 0);
+  assert.match(injected, /\/\/ Build the greeting\n {2}const message = `Hi/);
+});
+
+test("symbolPathsByLine gives each line its innermost enclosing symbol", () => {
+  const range = (start, end) => ({ start: { line: start }, end: { line: end } });
+  const nested = [{ name: "Greeter", kind: "Class", range: range(0, 4), children: [
+    { name: "greet", kind: "Method", range: range(1, 3), children: [{ name: "message", kind: "Variable", range: range(2, 2) }] },
+  ] }];
+  assert.deepStrictEqual(plain(vcm.symbolPathsByLine(nested, 6)), ["Greeter", "Greeter > greet", "Greeter > greet", "Greeter > greet", "Greeter", null]);
+
+  const flat = [
+    { name: "greet", kind: "Method", containerName: "Greeter", location: { range: range(1, 2) } },
+    { name: "Greeter", kind: "Class", location: { range: range(0, 3) } },
+  ];
+  assert.deepStrictEqual(plain(vcm.symbolPathsByLine(flat, 4)), ["Greeter", "Greeter > greet", "Greeter > greet", "Greeter"]);
+});
+
+test("a comment on a line repeated in another symbol goes back into its own symbol", () => {
+  const classA = ["class A {", "  run() {", "    // in A", "    return 1;", "  }", "}"];
+  const classB = ["class B {", "  run() {", "    return 1;", "  }", "}"];
+  const text = [...classA, ...classB].join("\n");
+  const pathsFor = (cleanLines) => {
+    let owner = null;
+    return cleanLines.map(l => {
+      if (l.startsWith("class")) owner = l.slice(6, 7);
+      return l.trim() === "return 1;" ? `${owner} > run` : owner;
+    });
+  };
+
+  const comments = vcm.extractComments(text, FILE, null, false, pathsFor(text.split("\n")));
+  assert.deepStrictEqual(plain(comments.map(c => c.symbolPath)), ["A > run"]);
+  const clean = vcm.stripComments(text, FILE, comments);
+
+  // B now comes first: the comment's old line number points into B
+  const swapped = [...classB, ...clean.split("\n").slice(0, 5)];
+  const injected = vcm.injectComments(swapped.join("\n"), comments, false, FILE, null, pathsFor(swapped)).split("\n");
+  assert.strictEqual(injected[injected.indexOf("    // in A") - 2], "class A {");
+});
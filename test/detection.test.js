@@ -0,0 +1,78 @@
+// Mode detection checks: telling clean from commented files by their stored comments (detectInitialMode /
+// detectPrivateVisibility). A clean file misread as commented loses its hidden comments on the next save.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const FILE = "/work/src/app.js";
+
+const commented = [
+  "// Keep this visible", // Always Show
+  "function add(a, b) {",
+  "  // Sum two numbers",
+  "  return a + b; // plain addition",
+  "}",
+  "",
+  "// My own note", // private
+  "function greet(name) {",
+  "  // Build the greeting",
+  "  return `Hello, ${name}`;",
+  "}",
+].join("\n");
+
+// The mirrors of the file above: shared comments with one Always Show, and one private comment
+function storedComments() {
+  const comments = vcm.extractComments(commented, FILE);
+  const byText = (text) => comments.find(c => vcm.commentBody(c.type === "inline" ? c.text : c.block).includes(text));
+  byText("Keep this visible").alwaysShow = true;
+  const note = byText("My own note");
+  return {
+    sharedComments: comments.filter(c => c !== note),
+    privateComments: [{ ...note, isPrivate: true }],
+  };
+}
+
+// Clean mode keeps Always Show comments, and private ones when they are visible
+const withoutLines = (...texts) => commented.split("\n").filter(l => !texts.some(t => l.includes(t))).join("\n")
+  .replace(" // plain addition", "");
+const cleanPrivateHidden = withoutLines("Sum two numbers", "Build the greeting", "My own note");
+const cleanPrivateVisible = withoutLines("Sum two numbers", "Build the greeting");
+
+test("a commented file is detected as commented", () => {
+  const stored = storedComments();
+  assert.strictEqual(vcm.detectInitialMode(commented, FILE, stored), true);
+  assert.strictEqual(vcm.detectPrivateVisibility(commented, FILE, stored), true);
+});
+
+test("a clean file holding an Always Show comment is detected as clean", () => {
+  const stored = storedComments();
+  assert.ok(cleanPrivateHidden.includes("// Keep this visible"));
+  assert.strictEqual(vcm.detectInitialMode(cleanPrivateHidden, FILE, stored), false);
+  assert.strictEqual(vcm.detectPrivateVisibility(cleanPrivateHidden, FILE, stored), false);
+});
+
+test("a clean file showing its private comments is detected as clean", () => {
+  const stored = storedComments();
+  assert.strictEqual(vcm.detectInitialMode(cleanPrivateVisible, FILE, stored), false);
+  assert.strictEqual(vcm.detectPrivateVisibility(cleanPrivateVisible, FILE, stored), true);
+});
+
+test("comments typed in clean mode don't make a clean file look commented", () => {
+  const stored = storedComments();
+  const typed = cleanPrivateHidden.replace("function greet", "// TODO: typed while clean\nfunction greet");
+  assert.strictEqual(vcm.detectInitialMode(typed, FILE, stored), false);
+});
+
+test("a commented file with one comment edited is still commented", () => {
+  const stored = storedComments();
+  assert.strictEqual(vcm.detectInitialMode(commented.replace("Build the greeting", "Build a greeting"), FILE, stored), true);
+});
+
+test("with nothing hideable stored, any comment means commented", () => {
+  const none = { sharedComments: [], privateComments: [] };
+  assert.strictEqual(vcm.detectInitialMode(commented, FILE, none), true);
+  assert.strictEqual(vcm.detectInitialMode("const a = 1;\n", FILE, none), false);
+  assert.strictEqual(vcm.detectPrivateVisibility(commented, FILE, none), false);
+});
@@ -0,0 +1,43 @@
+// Encryption checks: private comments encrypted with a passphrase (encryptVcmComments) only come back with the
+// key derived from that passphrase (deriveVcmKey / decryptVcmComments), and never once the data was changed.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+
+// Values built inside the loaded script come from another realm - copy them before deepStrictEqual
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const comments = [
+  { id: "c1", type: "inline", anchor: "a1", text: " // my private note", text_cleanMode: null },
+  { id: "c2", type: "block", anchor: "b1", block: [{ text: "// only for me" }], text_cleanMode: null },
+];
+const salt = crypto.randomBytes(16).toString("base64");
+
+test("encrypted comments round-trip with the same passphrase and hide their text", async () => {
+  const key = await vcm.deriveVcmKey("correct horse", salt);
+  const encrypted = vcm.encryptVcmComments(comments, key, salt);
+
+  assert.strictEqual(encrypted.cipher, "aes-256-gcm");
+  assert.strictEqual(encrypted.salt, salt);
+  assert.ok(!JSON.stringify(encrypted).includes("private note"));
+
+  // Same key from the same passphrase and salt, as on another machine
+  const again = await vcm.deriveVcmKey("correct horse", encrypted.salt);
+  assert.deepStrictEqual(plain(vcm.decryptVcmComments(encrypted, again)), comments);
+});
+
+test("a wrong passphrase or changed data fails to decrypt", async () => {
+  const key = await vcm.deriveVcmKey("correct horse", salt);
+  const encrypted = vcm.encryptVcmComments(comments, key, salt);
+
+  const wrongKey = await vcm.deriveVcmKey("wrong horse", salt);
+  assert.throws(() => vcm.decryptVcmComments(encrypted, wrongKey));
+
+  const data = Buffer.from(encrypted.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => vcm.decryptVcmComments({ ...encrypted, data: data.toString("base64") }, key));
+});
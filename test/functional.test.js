@@ -0,0 +1,43 @@
+// Functional comment checks: directives the toolchain reads stay in the file as code (scanCommentLines /
+// isFunctionalComment), while ordinary comments that merely mention one are hidden like any other.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+
+// Line index -> is it kept as code (functional) rather than stripped as a comment?
+const keptLines = (text, file) => vcm.scanCommentLines(text, file).map(info => !info.isComment);
+
+test("an encoding declaration only counts on the first two lines", () => {
+  const text = [
+    "#!/usr/bin/env python",
+    "# -*- coding: utf-8 -*-",
+    "import os",
+    "# coding: this loop is slow, fix it later",
+    "# vim: set fileencoding=utf-8 :",
+  ].join("\n");
+  assert.deepStrictEqual(Array.from(keptLines(text, "/work/app.py")), [true, true, true, false, true]);
+  assert.strictEqual(vcm.isFunctionalComment("# coding=utf-8", 1), true);
+  assert.strictEqual(vcm.isFunctionalComment("# coding=utf-8", 2), false);
+  assert.strictEqual(vcm.isFunctionalComment("# coding=utf-8"), false);
+});
+
+test("@flow and noqa only count at the start of a comment", () => {
+  assert.strictEqual(vcm.isFunctionalComment("// @flow"), true);
+  assert.strictEqual(vcm.isFunctionalComment("/* @flow strict */"), true);
+  assert.strictEqual(vcm.isFunctionalComment("* @flow"), true);
+  assert.strictEqual(vcm.isFunctionalComment("// data goes through @flow handlers"), false);
+
+  assert.strictEqual(vcm.isFunctionalComment("# noqa: E501"), true);
+  assert.strictEqual(vcm.isFunctionalComment("# NOQA"), true);
+  assert.strictEqual(vcm.isFunctionalComment("# type: ignore  # noqa"), true);
+  assert.strictEqual(vcm.isFunctionalComment("# remove the noqa once the API is fixed"), false);
+});
+
+test("stored entries holding a late coding comment stay hideable", () => {
+  const stored = { type: "inline", text: "# coding: see the style guide", originalLineIndex: 10 };
+  assert.strictEqual(vcm.withoutFunctionalComments(stored), stored);
+  assert.strictEqual(vcm.withoutFunctionalComments({ ...stored, originalLineIndex: 0 }), null);
+});
@@ -0,0 +1,24 @@
+// Load vcm.js outside VS Code so its module-level helpers (scanner, anchoring, migration) can be called directly
+// The extension only touches the vscode API inside functions (and reads a few enum values), so a stub is enough to load it.
+// Top-level function declarations end up as properties of the returned context.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function loadVcm() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "vcm.js"), "utf8");
+  const vscodeStub = { SymbolKind: new Proxy({}, { get: (target, name) => name }) };
+  const context = vm.createContext({
+    require: (name) => (name === "vscode" ? vscodeStub : require(name)),
+    module: { exports: {} },
+    console,
+    Buffer,
+    process,
+    setTimeout,
+    clearTimeout,
+  });
+  vm.runInContext(source, context, { filename: "vcm.js" });
+  return context;
+}
+
+module.exports = { loadVcm };
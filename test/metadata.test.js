@@ -0,0 +1,25 @@
+// Comment metadata checks: the authorship line hovers show for a stored comment (describeAuthorship)
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const date = (iso) => new Date(iso).toLocaleString();
+
+test("authorship names the author and when the comment was added and last edited", () => {
+  const comment = { author: "Jane Doe <jane@example.com>", createdAt: "2026-10-19T09:14:00.000Z", updatedAt: "2026-10-21T16:02:00.000Z" };
+  assert.strictEqual(
+    vcm.describeAuthorship(comment),
+    `by Jane Doe <jane@example.com>, added ${date(comment.createdAt)}, edited ${date(comment.updatedAt)}`
+  );
+});
+
+test("a comment never edited since it was added has no edit date", () => {
+  const comment = { createdAt: "2026-10-19T09:14:00.000Z", updatedAt: "2026-10-19T09:14:00.000Z" };
+  assert.strictEqual(vcm.describeAuthorship(comment), `added ${date(comment.createdAt)}`);
+});
+
+test("a comment stored before metadata was recorded has no authorship", () => {
+  assert.strictEqual(vcm.describeAuthorship({ type: "inline", text: " // old" }), "");
+});
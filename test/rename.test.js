@@ -0,0 +1,60 @@
+// Rename detection checks: pairing a file created outside VS Code with the deleted file it came from
+// (anchorOverlap / pickRenameSource), so its mirrors only follow real renames and moves.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const FILE = "/work/src/app.js";
+
+const commented = [
+  "let ready = true;",
+  "function add(a, b) {",
+  "  // Sum two numbers",
+  "  return a + b; // plain addition",
+  "}",
+  "// End of module",
+].join("\n");
+const comments = vcm.extractComments(commented, FILE);
+const clean = vcm.stripComments(commented, FILE, comments);
+
+test("anchorOverlap is the share of anchored comments whose code is in the file", () => {
+  assert.strictEqual(vcm.anchorOverlap(comments, commented, "/work/lib/renamed.js"), 1);
+  assert.strictEqual(vcm.anchorOverlap(comments, clean, "/work/lib/renamed.js"), 1);
+  assert.strictEqual(vcm.anchorOverlap(comments, clean.replace("return a + b;", "return a - b;"), "/work/lib/renamed.js"), 0);
+  assert.strictEqual(vcm.anchorOverlap(comments, "const other = 1;", "/work/lib/other.js"), 0);
+
+  // Header and footer comments have no code line to look for
+  const footerOnly = comments.filter(c => c.anchorKind);
+  assert.ok(footerOnly.length > 0);
+  assert.strictEqual(vcm.anchorOverlap(footerOnly, commented, FILE), 0);
+});
+
+test("a created file pairs with a deleted one of the same name, or one whose code it holds", () => {
+  const moved = vcm.pickRenameSource("/work/lib/app.js", [
+    { path: "/work/src/app.js", overlap: 0 },
+    { path: "/work/lib/other.js", overlap: 0.4 },
+  ]);
+  assert.strictEqual(moved.path, "/work/src/app.js");
+
+  const renamed = vcm.pickRenameSource("/work/src/main.js", [
+    { path: "/work/src/app.js", overlap: 0.9 },
+    { path: "/work/src/util.js", overlap: 0.5 },
+  ]);
+  assert.strictEqual(renamed.path, "/work/src/app.js");
+});
+
+test("a new file next to a deleted one is not a rename on its own", () => {
+  assert.strictEqual(vcm.pickRenameSource("/work/src/b.js", [{ path: "/work/src/a.js", overlap: 0 }]), null);
+  assert.strictEqual(vcm.pickRenameSource("/work/src/b.js", [{ path: "/work/src/a.js", overlap: 0.49 }]), null);
+  assert.strictEqual(vcm.pickRenameSource("/work/src/b.js", []), null);
+});
+
+test("the same folder breaks a tie between equally good candidates", () => {
+  const source = vcm.pickRenameSource("/work/src/main.js", [
+    { path: "/work/lib/app.js", overlap: 0.8 },
+    { path: "/work/src/app.js", overlap: 0.8 },
+  ]);
+  assert.strictEqual(source.path, "/work/src/app.js");
+});
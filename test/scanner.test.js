@@ -0,0 +1,89 @@
+// Scanner checks: which lines scanCommentLines reports as comments, for syntax that depends on its position
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const FILE = "/work/app.py";
+
+// Line index -> is it a comment line?
+const commentLines = (text, file = FILE) => Array.from(vcm.scanCommentLines(text, file).map(info => info.isComment));
+
+test("block comments span lines and leave code after their closing delimiter in place", () => {
+  const js = [
+    "/*",
+    " * Header",
+    " */",
+    "const a = 1; /* trailing */",
+    "const b = /* inside */ 2;",
+    "/* closed */ const c = 3;",
+  ].join("\n");
+  assert.deepStrictEqual(commentLines(js, "/work/app.js"), [true, true, true, false, false, false]);
+  assert.strictEqual(vcm.scanCommentLines(js, "/work/app.js")[3].commentStart, "const a = 1;".length);
+
+  const html = ["<!--", "  note", "-->", "<p>text</p>"].join("\n");
+  assert.deepStrictEqual(commentLines(html, "/work/index.html"), [true, true, true, false]);
+});
+
+test("Python docstrings are comments only as the first statement of a module, class or def body", () => {
+  const text = [
+    '"""Module docstring."""',        // first statement of the file
+    'import textwrap',
+    '',
+    'class Greeter:',
+    '    """Class docstring."""',
+    '',
+    '    def greet(self,',
+    '              name) -> str:',
+    '        """',
+    '        Multi-line docstring.',
+    '        """',
+    '        return textwrap.dedent(',
+    '            """Hello there"""',     // an argument, not a docstring
+    '        )',
+    '',
+    '    def shout(self): return "HI"',
+    '    """Not a docstring: after a one-line def."""',
+  ].join("\n");
+
+  assert.deepStrictEqual(commentLines(text), [
+    true, false, false,
+    false, true, false,
+    false, false, true, true, true,
+    false, false, false, false,
+    false, false,
+  ]);
+});
+
+test("a second string after a docstring is not a docstring", () => {
+  const text = [
+    'def f():',
+    '    """Docstring."""',
+    '    """Just a string."""',
+    '    return 1',
+  ].join("\n");
+  assert.deepStrictEqual(commentLines(text), [false, true, false, false]);
+});
+
+test("comment markers inside strings and regex literals are code", () => {
+  const js = [
+    'const url = "http://example.com"; // the site',
+    "const re = /\\/\\/ not a comment/g; // a regex",
+    "const half = total / 2; // a division",
+    "const path = `a // b ${name}`;",
+  ].join("\n");
+  const scanned = vcm.scanCommentLines(js, "/work/app.js");
+  const inline = Array.from(scanned.map((info, i) => (info.commentStart >= 0 ? js.split("\n")[i].slice(info.commentStart).trim() : null)));
+  assert.deepStrictEqual(inline, ["// the site", "// a regex", "// a division", null]);
+
+  const py = ["label = '# not a comment'  # real one", 'text = """', "# inside a string", '"""'].join("\n");
+  assert.deepStrictEqual(commentLines(py), [false, false, false, false]);
+});
+
+test("a document's language mode picks its comment syntax, whatever its extension", () => {
+  const text = "# setting\nvalue = 1";
+  assert.deepStrictEqual(commentLines(text, "/work/build.js"), [false, false]);
+  vcm.rememberDocumentLanguage({ uri: { scheme: "file", path: "/work/build.js" }, languageId: "python" });
+  assert.deepStrictEqual(commentLines(text, "/work/build.js"), [true, false]);
+});
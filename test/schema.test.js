@@ -0,0 +1,59 @@
+// Mirror schema checks: .vcm.json files of every earlier version load in today's shape (migrateVcmComments),
+// and files from a newer version of the extension are refused rather than misread.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { loadVcm } = require("./load-vcm");
+
+const vcm = loadVcm();
+const CURRENT_VERSION = vm.runInContext("VCM_SCHEMA_VERSION", vcm); // a top-level const, not a property of the context
+
+// Values built inside the loaded script come from another realm - copy them before deepStrictEqual
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("a file without a version is version 1 and is migrated to the current shape", () => {
+  const legacy = {
+    file: "src/app.js",
+    comments: [
+      { type: "inline", anchor: "a1", text: " // tail", text_cleanMode: ["", ""] },
+      { type: "block", anchor: "b1", block: ["// one", "// two"], text_cleanMode: "// typed in clean mode" },
+      { anchor: "c1", block: "// untyped block", isPrivate: true },
+      "not a comment",
+    ],
+  };
+  assert.strictEqual(vcm.vcmSchemaVersion(legacy), 1);
+
+  const [inline, block, untyped, ...rest] = plain(vcm.migrateVcmComments(legacy));
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(inline.text, " // tail");
+  assert.strictEqual(inline.text_cleanMode, null);
+  assert.deepStrictEqual(block.block, [{ text: "// one" }, { text: "// two" }]);
+  assert.deepStrictEqual(block.text_cleanMode, [{ text: "// typed in clean mode" }]);
+  assert.strictEqual(untyped.type, "block");
+  assert.deepStrictEqual(untyped.block, [{ text: "// untyped block" }]);
+  assert.ok(!("isPrivate" in untyped));
+});
+
+test("a current file loads unchanged", () => {
+  const comments = [{ type: "inline", anchor: "a1", text: " // tail", text_cleanMode: null }];
+  const current = { version: CURRENT_VERSION, file: "src/app.js", comments };
+  assert.deepStrictEqual(plain(vcm.migrateVcmComments(current)), comments);
+});
+
+test("a file from a newer version is refused", () => {
+  const newer = { version: CURRENT_VERSION + 1, comments: [] };
+  assert.strictEqual(vcm.migrateVcmComments(newer), null);
+});
+
+test("comments of an older file get ids, the same ones on every read", () => {
+  const legacy = { version: 2, comments: [
+    { type: "inline", anchor: "a1", text: " // tail", text_cleanMode: null },
+    { type: "inline", anchor: "a1", text: " // tail", text_cleanMode: null },
+    { type: "inline", id: "kept", anchor: "a2", text: " // other", text_cleanMode: null },
+  ] };
+  const ids = plain(vcm.migrateVcmComments(legacy).map(c => c.id));
+  assert.strictEqual(new Set(ids).size, 3);
+  assert.strictEqual(ids[2], "kept");
+  assert.deepStrictEqual(plain(vcm.migrateVcmComments(legacy).map(c => c.id)), ids);
+});
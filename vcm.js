@@ -9,6 +9,7 @@
 
 const vscode = require("vscode"); // vs code api module. lets us talk to and control VSCode itself
 const crypto = require("crypto"); // for generating hashes
+const path = require("path"); // for platform path separators when moving per-file state
 
 // Global state variables for the extension
 let vcmStatus;           // Status bar item showing VCM state
@@ -28,6 +29,11 @@ let vcmSyncEnabled = true; // Flag to temporarily disable .vcm file updates duri
 let isCommentedMap = new Map(); // Track state: true = comments visible, false = clean mode (comments hidden)
 let justInjectedFromVCM = new Set(); // Track files that just had VCM comments injected (don't re-extract)
 let privateCommentsVisible = new Map(); // Track private comment visibility per file: true = visible, false = hidden
+let virtualCommentFiles = new Set(); // Clean files drawing their comments as decorations (virtualComments setting) - the file itself stays clean
+let documentLanguageIds = new Map(); // Track VS Code languageId per file path so comment syntax follows the editor's language mode
+let contributedCommentSyntax = new Map(); // languageId -> comment syntax contributed by installed language extensions
+let commentMarkerOverrides = {}; // languageId or ".ext" -> comment syntax from the commentMarkers setting
+let customFunctionalCommentPatterns = []; // extra regexes from the functionalCommentPatterns setting
 
 // -----------------------------------------------------------------------------
 // Utility Helpers
@@ -153,6 +159,7 @@ const COMMENT_MARKERS = {
   'yaml': ['#'],
   'yml': ['#'],
   'env': ['#'],
+  'jsonc': ['//'],
 
   // Markdown / Docs
   'md': ['<!--'],
@@ -168,7 +175,759 @@ function getCommentMarkersForFile(filePath) {
   // ensure consistency by making it lowercase if it isnt
   const ext = filePath.split('.').pop().toLowerCase();
   // retrieve all markers for the matching index comment_markers['.js'] or default to common markers if undefined (if we dont have that filetype listed)
-  return COMMENT_MARKERS[ext] || ['#', '//', '--', '%', ';']; 
+  return COMMENT_MARKERS[ext] || ['#', '//', '--', '%', ';'];
+}
+
+// Block comment delimiters per file type - open/close pairs that can span multiple lines
+// lineStart: true → only counts as a comment when it is the first thing on the line
+// (ex: a Python """docstring""" is a comment, but x = """text""" is a string)
+// docstring: true → and only where a docstring goes: the first statement of the file or of a def / class body
+// (ex: a """text""" argument on its own line inside a call is a string)
+const C_BLOCK = { open: '/*', close: '*/' };
+const HTML_BLOCK = { open: '<!--', close: '-->' };
+const PY_DOCSTRINGS = [
+  { open: '"""', close: '"""', lineStart: true, docstring: true },
+  { open: "'''", close: "'''", lineStart: true, docstring: true },
+];
+const BLOCK_COMMENT_MARKERS = {
+  // Python-family docstrings
+  'py': PY_DOCSTRINGS,
+  'python': PY_DOCSTRINGS,
+  'pyx': PY_DOCSTRINGS,
+  'pyi': PY_DOCSTRINGS,
+
+  // JavaScript / TypeScript
+  'js': [C_BLOCK],
+  'jsx': [C_BLOCK],
+  'ts': [C_BLOCK],
+  'tsx': [C_BLOCK],
+
+  // C-family
+  'c': [C_BLOCK],
+  'h': [C_BLOCK],
+  'cpp': [C_BLOCK],
+  'cc': [C_BLOCK],
+  'cxx': [C_BLOCK],
+  'hpp': [C_BLOCK],
+  'hh': [C_BLOCK],
+  'ino': [C_BLOCK],
+  'cs': [C_BLOCK],
+  'java': [C_BLOCK],
+  'swift': [C_BLOCK],
+  'go': [C_BLOCK],
+  'rs': [C_BLOCK],
+  'kt': [C_BLOCK],
+  'kts': [C_BLOCK],
+
+  // Web / Frontend
+  'css': [C_BLOCK],
+  'scss': [C_BLOCK],
+  'less': [C_BLOCK],
+  'html': [HTML_BLOCK],
+  'htm': [HTML_BLOCK],
+  'xml': [HTML_BLOCK],
+  'vue': [HTML_BLOCK, C_BLOCK],
+  'svelte': [HTML_BLOCK, C_BLOCK],
+
+  // SQL / DB
+  'sql': [C_BLOCK],
+  'psql': [C_BLOCK],
+  'plsql': [C_BLOCK],
+  'mysql': [C_BLOCK],
+
+  // Lua / Haskell
+  'lua': [{ open: '--[[', close: ']]' }],
+  'hs': [{ open: '{-', close: '-}' }],
+  'lhs': [{ open: '{-', close: '-}' }],
+
+  // Ruby
+  'rb': [{ open: '=begin', close: '=end', lineStart: true }],
+
+  // PHP / Hack
+  'php': [C_BLOCK],
+
+  // MATLAB / Octave
+  'm': [{ open: '%{', close: '%}', lineStart: true }],
+  'matlab': [{ open: '%{', close: '%}', lineStart: true }],
+  'octave': [{ open: '%{', close: '%}', lineStart: true }],
+
+  // Lisp / Scheme
+  'lisp': [{ open: '#|', close: '|#' }],
+  'cl': [{ open: '#|', close: '|#' }],
+  'scm': [{ open: '#|', close: '|#' }],
+
+  // Pascal / Delphi
+  'pas': [{ open: '(*', close: '*)' }, { open: '{', close: '}' }],
+  'dpr': [{ open: '(*', close: '*)' }, { open: '{', close: '}' }],
+
+  // PowerShell
+  'ps1': [{ open: '<#', close: '#>' }],
+  'psm1': [{ open: '<#', close: '#>' }],
+
+  // Config / Data
+  'jsonc': [C_BLOCK],
+
+  // Markdown / Docs
+  'md': [HTML_BLOCK],
+  'markdown': [HTML_BLOCK],
+};
+
+// String / literal syntax per file type - lets the scanner skip comment markers that sit inside literals
+//   quotes   → characters that open a string closed by the same character on the same line
+//   escapes  → a backslash escapes the next character inside quotes
+//   triple   → """ / ''' strings that can span lines (Python)
+//   template → `template ${literals}` that can span lines and nest expressions (JS/TS)
+//   regex    → /regex/ literals (JS/TS)
+//   raw      → `raw strings` with no escapes that can span lines (Go)
+//   rawHash  → r"..." / r#"..."# raw strings (Rust)
+//   rawParen → R"delim(...)delim" raw strings (C++)
+//   verbatim → @"..." strings where "" is the escape (C#)
+const C_STRINGS = { quotes: ['"', "'"], escapes: true };
+const JS_STRINGS = { quotes: ['"', "'"], escapes: true, template: true, regex: true };
+const PY_STRINGS = { quotes: ['"', "'"], escapes: true, triple: true };
+const SHELL_STRINGS = { quotes: ['"', "'"], escapes: true };
+const SQL_STRINGS = { quotes: ["'", '"'], escapes: false }; // '' doubling closes and reopens, which scans the same
+const NO_STRINGS = { quotes: [], escapes: false };           // prose formats: an apostrophe is not a string
+const STRING_SYNTAX = {
+  // Python-family
+  'py': PY_STRINGS,
+  'python': PY_STRINGS,
+  'pyx': PY_STRINGS,
+  'pyi': PY_STRINGS,
+
+  // JavaScript / TypeScript
+  'js': JS_STRINGS,
+  'jsx': JS_STRINGS,
+  'ts': JS_STRINGS,
+  'tsx': JS_STRINGS,
+
+  // C-family
+  'c': C_STRINGS,
+  'h': C_STRINGS,
+  'cpp': { ...C_STRINGS, rawParen: true },
+  'cc': { ...C_STRINGS, rawParen: true },
+  'cxx': { ...C_STRINGS, rawParen: true },
+  'hpp': { ...C_STRINGS, rawParen: true },
+  'hh': { ...C_STRINGS, rawParen: true },
+  'ino': { ...C_STRINGS, rawParen: true },
+  'cs': { ...C_STRINGS, verbatim: true },
+  'java': C_STRINGS,
+  'swift': { ...C_STRINGS, quotes: ['"'], triple: true },
+  'go': { ...C_STRINGS, raw: true },
+  'rs': { quotes: ['"'], escapes: true, rawHash: true }, // ' is also a lifetime ('a), so it never opens a string
+  'kt': { ...C_STRINGS, triple: true },
+  'kts': { ...C_STRINGS, triple: true },
+
+  // Web / Frontend
+  'css': C_STRINGS,
+  'scss': C_STRINGS,
+  'less': C_STRINGS,
+  'html': NO_STRINGS,
+  'htm': NO_STRINGS,
+  'xml': NO_STRINGS,
+  'vue': JS_STRINGS,
+  'svelte': JS_STRINGS,
+
+  // SQL / DB
+  'sql': SQL_STRINGS,
+  'psql': SQL_STRINGS,
+  'plsql': SQL_STRINGS,
+  'mysql': { ...SQL_STRINGS, escapes: true },
+
+  // Lua / Haskell
+  'lua': C_STRINGS,
+  'hs': { quotes: ['"'], escapes: true },
+  'lhs': { quotes: ['"'], escapes: true },
+
+  // Shell / Scripting
+  'sh': SHELL_STRINGS,
+  'bash': SHELL_STRINGS,
+  'zsh': SHELL_STRINGS,
+  'ksh': SHELL_STRINGS,
+  'fish': SHELL_STRINGS,
+  'r': C_STRINGS,
+  'rscript': C_STRINGS,
+  'pl': C_STRINGS,
+  'pm': C_STRINGS,
+  'rb': C_STRINGS,
+  'cr': C_STRINGS,
+  'awk': { quotes: ['"'], escapes: true },
+  'tcl': { quotes: ['"'], escapes: true },
+
+  // PHP / Hack
+  'php': C_STRINGS,
+
+  // MATLAB / Octave (' is also the transpose operator)
+  'm': { quotes: ['"'], escapes: false },
+  'matlab': { quotes: ['"'], escapes: false },
+  'octave': { quotes: ['"'], escapes: false },
+
+  // Lisp / Scheme / Clojure
+  'lisp': { quotes: ['"'], escapes: true },
+  'cl': { quotes: ['"'], escapes: true },
+  'el': { quotes: ['"'], escapes: true },
+  'scm': { quotes: ['"'], escapes: true },
+  'ss': { quotes: ['"'], escapes: true },
+  'clj': { quotes: ['"'], escapes: true },
+  'cljs': { quotes: ['"'], escapes: true },
+  'cljc': { quotes: ['"'], escapes: true },
+
+  // Pascal / Delphi
+  'pas': { quotes: ["'"], escapes: false },
+  'dpr': { quotes: ["'"], escapes: false },
+
+  // VB / Basic (' is the comment marker)
+  'vb': { quotes: ['"'], escapes: false },
+  'vbs': { quotes: ['"'], escapes: false },
+  'bas': { quotes: ['"'], escapes: false },
+  'frm': { quotes: ['"'], escapes: false },
+
+  // PowerShell (backtick is the escape character)
+  'ps1': { quotes: ['"', "'"], escapes: false },
+  'psm1': { quotes: ['"', "'"], escapes: false },
+
+  // Config / Data
+  'toml': PY_STRINGS,
+  'jsonc': C_STRINGS,
+
+  // TeX / Markdown / Docs
+  'tex': NO_STRINGS,
+  'latex': NO_STRINGS,
+  'md': NO_STRINGS,
+  'markdown': NO_STRINGS,
+  'rst': NO_STRINGS,
+};
+
+// Keywords after which a "/" starts a regex literal instead of a division
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+// VS Code language ids -> key in the built-in tables above
+// Lets a .h file opened as C++ or a file with no extension (Dockerfile, Makefile) use the editor's language mode
+const LANGUAGE_ID_TO_KEY = {
+  'javascript': 'js',
+  'javascriptreact': 'jsx',
+  'typescript': 'ts',
+  'typescriptreact': 'tsx',
+  'c': 'c',
+  'cpp': 'cpp',
+  'objective-c': 'c',
+  'objective-cpp': 'cpp',
+  'csharp': 'cs',
+  'java': 'java',
+  'swift': 'swift',
+  'go': 'go',
+  'rust': 'rs',
+  'kotlin': 'kt',
+  'css': 'css',
+  'scss': 'scss',
+  'less': 'less',
+  'html': 'html',
+  'xml': 'xml',
+  'vue': 'vue',
+  'svelte': 'svelte',
+  'sql': 'sql',
+  'lua': 'lua',
+  'haskell': 'hs',
+  'shellscript': 'sh',
+  'r': 'r',
+  'perl': 'pl',
+  'ruby': 'rb',
+  'php': 'php',
+  'matlab': 'matlab',
+  'latex': 'latex',
+  'tex': 'tex',
+  'vb': 'vb',
+  'powershell': 'ps1',
+  'ini': 'ini',
+  'toml': 'toml',
+  'yaml': 'yaml',
+  'jsonc': 'jsonc',
+  'markdown': 'md',
+  'restructuredtext': 'rst',
+  'python': 'py',
+  'clojure': 'clj',
+};
+
+// Remember which language mode a document is in so getCommentSyntaxForFile can use it
+// VS Code closes and reopens a document when its language mode changes, so onDidOpenTextDocument keeps this current
+function rememberDocumentLanguage(doc) {
+  if (doc.uri.scheme !== "file") return;
+  documentLanguageIds.set(doc.uri.path, doc.languageId);
+}
+
+// Normalize comment syntax from a language configuration or the commentMarkers setting
+// Accepts either an array of line markers (["#"]) or { lineComment, blockComment } in VS Code's
+// language-configuration.json shape, where each value may be a single entry or an array of entries
+function normalizeCommentSyntax(syntax) {
+  if (Array.isArray(syntax)) {
+    return { lineMarkers: syntax.filter(m => typeof m === 'string' && m), blockMarkers: [] };
+  }
+
+  const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+  // lineComment is a string, or { comment: "//" } in newer language configurations
+  const lineMarkers = toList(syntax.lineComment)
+    .map(m => (typeof m === 'string' ? m : m && m.comment))
+    .filter(m => typeof m === 'string' && m);
+
+  // blockComment is ["/*", "*/"] or a list of such pairs
+  const blockPairs = Array.isArray(syntax.blockComment) && typeof syntax.blockComment[0] === 'string'
+    ? [syntax.blockComment]
+    : toList(syntax.blockComment);
+  const blockMarkers = blockPairs
+    .filter(pair => Array.isArray(pair) && pair[0] && pair[1])
+    .map(([open, close]) => ({ open, close }));
+
+  return { lineMarkers, blockMarkers };
+}
+
+// Parse a JSON-with-comments file (language-configuration.json allows comments and trailing commas)
+function parseJsonc(text) {
+  const scanned = scanCommentLines(text, "language-configuration.jsonc");
+  const json = text.split("\n").map((line, i) => {
+    if (scanned[i].isComment) return "";
+    return scanned[i].commentStart >= 0 ? line.substring(0, scanned[i].commentStart) : line;
+  }).join("\n").replace(/,(\s*[}\]])/g, "$1");
+  return JSON.parse(json);
+}
+
+// Read the comment syntax every installed language extension contributes
+// (contributes.languages[].configuration -> language-configuration.json -> comments)
+async function loadContributedCommentSyntax() {
+  const loaded = new Map();
+
+  for (const extension of vscode.extensions.all) {
+    const languages = extension.packageJSON?.contributes?.languages || [];
+    for (const language of languages) {
+      if (!language.id || !language.configuration || loaded.has(language.id)) continue;
+
+      try {
+        const configUri = vscode.Uri.joinPath(extension.extensionUri, language.configuration);
+        const config = parseJsonc((await vscode.workspace.fs.readFile(configUri)).toString());
+        if (config.comments) {
+          loaded.set(language.id, normalizeCommentSyntax(config.comments));
+        }
+      } catch {
+        // Missing or unreadable language configuration - fall back to the built-in tables
+      }
+    }
+  }
+
+  contributedCommentSyntax = loaded;
+}
+
+// Read the commentMarkers setting: { "<languageId or .ext>": ["#"] | { lineComment, blockComment } }
+function loadCommentMarkerOverrides() {
+  const config = vscode.workspace.getConfiguration("vcm-view-comments-mirror");
+  commentMarkerOverrides = config.get("commentMarkers", {}) || {};
+}
+
+// Get the full comment syntax for a file: single-line markers, block delimiters and string literals
+// Resolution order:
+// 1. commentMarkers setting (by languageId, then by ".ext")
+// 2. built-in tables for the document's languageId
+// 3. comments contributed by the language extension for that languageId
+// 4. built-in tables for the file extension
+// 5. nothing for a known language with no comment syntax (plaintext), legacy defaults otherwise
+// Block openers are removed from lineMarkers so "/*" in css is handled as a real block
+function getCommentSyntaxForFile(filePath) {
+  const ext = filePath.split('.').pop().toLowerCase();
+  const languageId = documentLanguageIds.get(filePath);
+
+  // Built-in tables: by language mode first, by file extension when no language extension describes the language
+  let builtInKey = null;
+  if (languageId) builtInKey = LANGUAGE_ID_TO_KEY[languageId] || (COMMENT_MARKERS[languageId] ? languageId : null);
+  if (!builtInKey && !contributedCommentSyntax.has(languageId) && COMMENT_MARKERS[ext]) builtInKey = ext;
+
+  // Unknown file types keep the old behavior: any quote or backtick opens a string
+  const strings = STRING_SYNTAX[builtInKey || ext] || { quotes: ['"', "'", '`'], escapes: true };
+
+  let syntax;
+  const override = (languageId && commentMarkerOverrides[languageId]) || commentMarkerOverrides['.' + ext];
+  if (override) {
+    syntax = normalizeCommentSyntax(override);
+  } else if (builtInKey) {
+    syntax = { lineMarkers: COMMENT_MARKERS[builtInKey], blockMarkers: BLOCK_COMMENT_MARKERS[builtInKey] || [] };
+  } else if (languageId && contributedCommentSyntax.has(languageId)) {
+    syntax = contributedCommentSyntax.get(languageId);
+  } else if (languageId && languageId !== 'unknown') {
+    syntax = { lineMarkers: [], blockMarkers: [] }; // ex: plaintext - nothing to strip
+  } else {
+    syntax = { lineMarkers: getCommentMarkersForFile(filePath), blockMarkers: [] };
+  }
+
+  // Longest opener first so "--[[" wins over "--" in Lua
+  const blockMarkers = [...syntax.blockMarkers].sort((a, b) => b.open.length - a.open.length);
+  const blockOpeners = new Set(blockMarkers.map(b => b.open));
+  const lineMarkers = syntax.lineMarkers.filter(m => !blockOpeners.has(m));
+  return { lineMarkers, blockMarkers, strings };
+}
+
+// Functional comments - comments the toolchain reads, so hiding them changes program behavior
+// Matched against the comment text starting at its marker (ex: "// eslint-disable-next-line no-console")
+// These are never stripped in clean mode and never stored as hideable entries in .vcm/shared.
+// Extend with the vcm-view-comments-mirror.functionalCommentPatterns setting.
+const FUNCTIONAL_COMMENT_PATTERNS = [
+  // Shebangs and encoding / editor magic comments
+  /^#!/,
+  /-\*-.*-\*-/,                                  // -*- coding: utf-8 -*-
+  /^#\s*(?:vim?|ex):/,                           // # vim: set ft=python :
+  /^#\s*(?:frozen_string_literal|encoding|warn_indent|shareable_constant_value):/,
+
+  // Compiler and build directives
+  /^\/\/\s*go:\w+/,                              // //go:build, //go:generate, //go:embed
+  /^\/\/\s*\+build\b/,
+  /^#\s*pragma\b/,                               // #pragma in languages where # is a comment
+  /^\/\/\/\s*<(?:reference|amd-module|amd-dependency)\b/, // TypeScript triple-slash directives
+  /@ts-(?:ignore|expect-error|nocheck|check)\b/,
+  /@jsx(?:Runtime|ImportSource|Frag)?\b/,
+  /^(?:\/\/+|\/\*+|\*)\s*@flow\b/,                // // @flow, /* @flow */ or a " * @flow" docblock line
+  /webpack(?:ChunkName|Prefetch|Preload|Ignore|Mode|Include|Exclude)\s*:/,
+  /@vite-ignore\b/,
+  /[#@]\s*source(?:Mapping)?URL=/,
+
+  // Linters, type checkers, formatters and coverage tools
+  /eslint-(?:disable|enable|env)\b/,
+  /^\/\*\s*(?:eslint|global|globals|exported|jshint|jslint)\s/,
+  /prettier-ignore\b/,
+  /(?:istanbul|c8|v8)\s+ignore\b/,
+  /type:\s*ignore\b/,
+  /(?:^|\s)#\s*noqa\b/i,                          // # noqa, also after another directive: # type: ignore  # noqa
+  /(?:pylint|mypy|pyright|ruff):\s*(?:disable|enable|ignore|strict|basic|standard|report|noqa)/,
+  /fmt:\s*(?:off|on|skip)\b/,
+  /pragma:\s*no\s*(?:cover|branch)\b/,
+  /rubocop:(?:disable|enable|todo)\b/,
+  /shellcheck\s+(?:disable|enable|source|shell)=/,
+  /\bNOLINT(?:NEXTLINE|BEGIN|END)?\b/,
+  /\bnolint\b/,
+  /clang-format\s+(?:off|on)\b/,
+  /swiftlint:(?:disable|enable)\b/,
+  /markdownlint-(?:disable|enable|capture|restore|configure-file)\b/,
+
+  // License headers
+  /SPDX-(?:License-Identifier|FileCopyrightText)\s*:/,
+  /^\/\*!/,                                      // /*! preserved by minifiers */
+  /@(?:license|preserve)\b/,
+];
+
+// Only read on the first two lines of a file (PEP 263) - elsewhere "coding: ..." is just a comment about coding
+const FIRST_LINES_FUNCTIONAL_PATTERNS = [
+  /^#.*?coding[:=]\s*[-\w.]+/,                   // # coding=utf-8, # vim: set fileencoding=utf-8 :
+];
+
+// Read the functionalCommentPatterns setting (regex strings added to the built-in list)
+function loadFunctionalCommentPatterns() {
+  const config = vscode.workspace.getConfiguration("vcm-view-comments-mirror");
+  customFunctionalCommentPatterns = [];
+  for (const pattern of config.get("functionalCommentPatterns", []) || []) {
+    try {
+      customFunctionalCommentPatterns.push(new RegExp(pattern));
+    } catch {
+      vscode.window.showWarningMessage(`VCM: Ignoring invalid functional comment pattern: ${pattern}`);
+    }
+  }
+}
+
+// Is this comment a directive, pragma, shebang or license header that must always stay visible?
+// lineIndex → the 0-based line it is on, when known (encoding declarations only count on the first two lines)
+function isFunctionalComment(text, lineIndex = null) {
+  const trimmed = text.trim();
+  if (!trimmed) return false;
+  return FUNCTIONAL_COMMENT_PATTERNS.some(p => p.test(trimmed)) ||
+         (lineIndex !== null && lineIndex < 2 && FIRST_LINES_FUNCTIONAL_PATTERNS.some(p => p.test(trimmed))) ||
+         customFunctionalCommentPatterns.some(p => p.test(trimmed));
+}
+
+// Remove functional comment lines from a stored comment entry
+// Mirrors written before a directive was recognized may still hold one; it must not become hideable.
+// Returns the cleaned entry, or null when nothing hideable is left.
+function withoutFunctionalComments(comment) {
+  if (comment.type === "inline") {
+    const inlineTexts = [comment.text, comment.text_cleanMode].filter(t => typeof t === 'string' && t.trim());
+    return inlineTexts.some(t => isFunctionalComment(t, comment.originalLineIndex ?? null)) ? null : comment;
+  }
+
+  const keepLines = (lines) => (Array.isArray(lines) ? lines.filter(l => !isFunctionalComment(l.text, l.originalLineIndex ?? null)) : lines);
+  const cleaned = { ...comment, block: keepLines(comment.block), text_cleanMode: keepLines(comment.text_cleanMode) };
+  const hasLines = (lines) => Array.isArray(lines) && lines.some(l => l.text.trim());
+  return hasLines(cleaned.block) || hasLines(cleaned.text_cleanMode) ? cleaned : null;
+}
+
+// Tokenize the whole text once and classify every line
+// Tracks block comments, strings, template literals, raw strings and regex literals across lines,
+// so a "#" inside "a # b" or the "//" in "http://x" is never mistaken for a comment.
+// Returns one entry per line:
+//   isComment    → the line holds nothing but comment text (or is inside an open block comment)
+//   commentStart → for code lines, index where the inline comment begins (including the whitespace before it), else -1
+// Extraction, stripping and the right-click commands all read from this so they always agree on what a comment is.
+// Functional comments (see isFunctionalComment) are reported as code so they are never stripped or mirrored.
+function scanCommentLines(text, filePath) {
+  const { lineMarkers, blockMarkers, strings } = getCommentSyntaxForFile(filePath);
+  const lines = text.split("\n");
+  const result = [];
+  let openBlock = null;     // block comment that is still open from a previous line
+  let openString = null;    // string literal that is still open: { close, escapes, doubled, multiline, template }
+  const templateDepth = []; // brace depth of each ${ } expression we are inside (innermost last)
+  let prevSignificant = null; // last non-blank code character, used to tell a regex from a division
+  let prevWord = '';          // identifier that ends at prevSignificant
+  const tracksDocstrings = blockMarkers.some(b => b.docstring);
+  let docstringAllowed = true; // the next statement may be a docstring: start of the file, or just after a def / class header
+  let headerDepth = null;      // bracket depth while a def / class header runs over several lines, else null
+
+  // Helper: walk back over the whitespace before a marker so the inline comment keeps its spacing
+  const startOfSpacing = (line, pos) => {
+    let start = pos;
+    while (start > 0 && /\s/.test(line[start - 1])) start--;
+    return start;
+  };
+
+  // Helper: a block comment turned out to hold a directive - every line of it stays visible, like code
+  const keepBlockVisible = (block) => {
+    for (let i = block.startLine; i < result.length; i++) {
+      result[i].isComment = false;
+    }
+    result[block.startLine].commentStart = -1;
+  };
+
+  // Helper: does a "/" here start a regex literal? (only after an operator, an opening bracket or a keyword)
+  const regexAllowed = () => {
+    if (prevSignificant === null) return true;
+    if (/[\w$]/.test(prevSignificant)) return REGEX_PRECEDING_KEYWORDS.has(prevWord);
+    return !')]}'.includes(prevSignificant);
+  };
+
+  // Helper: find the end of a regex literal that starts at pos, or -1 if this "/" is not one
+  const findRegexEnd = (line, pos) => {
+    let inClass = false;
+    for (let i = pos + 1; i < line.length; i++) {
+      const char = line[i];
+      if (char === '\\') { i++; continue; }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) {
+        let end = i + 1;
+        while (end < line.length && /[a-z]/i.test(line[end])) end++; // flags
+        return end;
+      }
+    }
+    return -1; // regex literals never span lines
+  };
+
+  // Helper: does a string literal open at pos? Returns the open string state and its opener length
+  const matchStringOpener = (line, pos) => {
+    const rest = line.substring(pos);
+    const prevChar = pos > 0 ? line[pos - 1] : '';
+    const startsToken = !/[\w$]/.test(prevChar);
+
+    if (strings.rawHash && startsToken) {
+      const raw = rest.match(/^r(#*)"/); // Rust r"..." / r#"..."#
+      if (raw) return { length: raw[0].length, state: { close: '"' + raw[1], escapes: false, multiline: true } };
+    }
+    if (strings.rawParen && startsToken) {
+      const raw = rest.match(/^(?:u8|[uUL])?R"([^()\\\s]{0,16})\(/); // C++ R"delim(...)delim"
+      if (raw) return { length: raw[0].length, state: { close: ')' + raw[1] + '"', escapes: false, multiline: true } };
+    }
+    if (strings.verbatim) {
+      const verbatim = rest.match(/^(?:\$@|@\$|@)"/); // C# @"..."
+      if (verbatim) return { length: verbatim[0].length, state: { close: '"', escapes: false, doubled: true, multiline: true } };
+    }
+    if (strings.triple && (rest.startsWith('"""') || rest.startsWith("'''"))) {
+      const quote = rest.substring(0, 3);
+      return { length: 3, state: { close: quote, escapes: strings.escapes, multiline: true } };
+    }
+    if (strings.template && rest[0] === '`') {
+      return { length: 1, state: { close: '`', escapes: true, multiline: true, template: true } };
+    }
+    if (strings.raw && rest[0] === '`') {
+      return { length: 1, state: { close: '`', escapes: false, multiline: true } };
+    }
+    if (strings.quotes.includes(rest[0])) {
+      return { length: 1, state: { close: rest[0], escapes: strings.escapes, multiline: false } };
+    }
+    return null;
+  };
+
+  for (const line of lines) {
+    const lineIndex = result.length;
+    const info = { isComment: false, commentStart: -1 };
+    result.push(info);
+    let pos = 0;
+
+    // Continue a block comment opened on an earlier line
+    if (openBlock) {
+      const closeIdx = line.indexOf(openBlock.close);
+      if (isFunctionalComment(closeIdx === -1 ? line : line.substring(0, closeIdx), lineIndex)) {
+        openBlock.functional = true; // ex: " * SPDX-License-Identifier: MIT" inside a header block
+      }
+      if (closeIdx === -1) {
+        info.isComment = true; // still inside the block (blank lines included)
+        continue;
+      }
+      pos = closeIdx + openBlock.close.length;
+      const closedBlock = openBlock;
+      openBlock = null;
+      if (!line.substring(pos).trim()) {
+        info.isComment = true; // closing line of the block
+        if (closedBlock.functional) keepBlockVisible(closedBlock);
+        continue;
+      }
+      if (closedBlock.functional) keepBlockVisible(closedBlock);
+      // Code follows the closing delimiter - keep the line as code so nothing is lost
+    }
+
+    // Blank line outside any block (a blank line inside a multi-line string stays code)
+    if (!line.trim()) continue;
+
+    const firstNonBlank = line.length - line.trimStart().length;
+    let sawCode = pos > 0 || openString !== null; // text before pos was the tail of a block comment or string
+
+    while (pos < line.length) {
+      const char = line[pos];
+
+      // Inside a string literal: only look for its end (or a ${ in a template literal)
+      if (openString) {
+        if (openString.escapes && char === '\\') {
+          pos += 2;
+        } else if (openString.template && line.startsWith('${', pos)) {
+          templateDepth.push(0);
+          openString = null;
+          pos += 2;
+        } else if (openString.doubled && line.startsWith(openString.close + openString.close, pos)) {
+          pos += openString.close.length * 2;
+        } else if (line.startsWith(openString.close, pos)) {
+          pos += openString.close.length;
+          openString = null;
+          prevSignificant = ')'; // a literal is a value: "/" after it is a division
+          prevWord = '';
+        } else {
+          pos++;
+        }
+        continue;
+      }
+
+      // Block comment openers (checked before line markers and quotes: """ and --[[ overlap with them)
+      const block = blockMarkers.find(b => line.startsWith(b.open, pos) &&
+        (!b.lineStart || pos === firstNonBlank) && (!b.docstring || docstringAllowed));
+      if (block) {
+        if (block.docstring) docstringAllowed = false; // one docstring per body
+        const closeIdx = line.indexOf(block.close, pos + block.open.length);
+        const afterClose = closeIdx === -1 ? '' : line.substring(closeIdx + block.close.length);
+        const functional = isFunctionalComment(closeIdx === -1 ? line.substring(pos) : line.substring(pos, closeIdx + block.close.length), lineIndex);
+
+        if (closeIdx === -1) {
+          // Runs onto the next lines
+          openBlock = { ...block, startLine: result.length - 1, functional };
+          if (functional) sawCode = true; // directives stay in every mode, like code
+          else if (sawCode) info.commentStart = startOfSpacing(line, pos);
+          else info.isComment = true;
+          break;
+        }
+        if (functional) {
+          // Directive that closes on this line (ex: /* eslint-disable */) - leave it in place like code
+          sawCode = true;
+          pos = closeIdx + block.close.length;
+          continue;
+        }
+        if (!afterClose.trim()) {
+          // Closes on this line with nothing after it
+          if (sawCode) info.commentStart = startOfSpacing(line, pos);
+          else info.isComment = true;
+          break;
+        }
+        // Closed comment with code after it (ex: a /* b */ c) - leave it in place
+        pos = closeIdx + block.close.length;
+        continue;
+      }
+
+      // Single-line markers
+      const marker = lineMarkers.find(m => line.startsWith(m, pos));
+      if (marker) {
+        if (isFunctionalComment(line.substring(pos), lineIndex)) {
+          sawCode = true; // directives (# type: ignore, // @ts-ignore...) stay in every mode, like code
+          break;
+        }
+        if (!sawCode) {
+          info.isComment = true;
+          break;
+        }
+        // Make sure there's whitespace before it (not part of code)
+        if (/\s/.test(line[pos - 1])) {
+          info.commentStart = startOfSpacing(line, pos);
+          break;
+        }
+      }
+
+      // String and template literals
+      const stringOpener = matchStringOpener(line, pos);
+      if (stringOpener) {
+        openString = stringOpener.state;
+        sawCode = true;
+        pos += stringOpener.length;
+        continue;
+      }
+
+      // Closing brace of a ${ } expression returns to the template literal
+      if (templateDepth.length > 0 && (char === '{' || char === '}')) {
+        if (char === '{') {
+          templateDepth[templateDepth.length - 1]++;
+        } else if (templateDepth[templateDepth.length - 1] === 0) {
+          templateDepth.pop();
+          openString = { close: '`', escapes: true, multiline: true, template: true };
+          pos++;
+          continue;
+        } else {
+          templateDepth[templateDepth.length - 1]--;
+        }
+      }
+
+      // Regex literals
+      if (strings.regex && char === '/' && regexAllowed()) {
+        const regexEnd = findRegexEnd(line, pos);
+        if (regexEnd !== -1) {
+          sawCode = true;
+          prevSignificant = ')';
+          prevWord = '';
+          pos = regexEnd;
+          continue;
+        }
+      }
+
+      if (!/\s/.test(char)) {
+        sawCode = true;
+        prevWord = /[\w$]/.test(char) && /[\w$]/.test(line[pos - 1] || '') ? prevWord + char : char;
+        prevSignificant = char;
+      }
+      pos++;
+    }
+
+    // Quotes that do not span lines end with the line
+    if (openString && !openString.multiline) openString = null;
+
+    // Nothing but comments on this line (ex: /* a */ /* b */)
+    if (!sawCode && !info.isComment) info.isComment = true;
+
+    // Code decides whether the next statement can be a docstring (comment lines and directives don't)
+    const code = sawCode ? (info.commentStart >= 0 ? line.substring(0, info.commentStart) : line).trim() : '';
+    if (tracksDocstrings && code && !lineMarkers.some(m => code.startsWith(m))) {
+      if (headerDepth === null && /^(?:async\s+def|def|class)\b/.test(code)) headerDepth = 0;
+      if (headerDepth === null) {
+        docstringAllowed = false;
+      } else {
+        // A header can span lines (def f(\n  a,\n  b):) - it ends at depth 0, on a ":" unless the body follows it
+        headerDepth += (code.match(/[([{]/g) || []).length - (code.match(/[)\]}]/g) || []).length;
+        docstringAllowed = headerDepth <= 0 && code.endsWith(':');
+        if (headerDepth <= 0) headerDepth = null;
+      }
+    }
+  }
+
+  // A directive block that never closes still stays visible
+  if (openBlock && openBlock.functional) keepBlockVisible(openBlock);
+
+  return result;
 }
 
 // Content Provider (provides the files text content) for generating and dynamically updating the split view VCM_filename.type. like a server
@@ -208,6 +967,82 @@ class VCMContentProvider {
   }
 }
 
+// Who wrote a stored comment and when, for hovers and tooltips
+// Ex: "by Jane Doe <jane@example.com>, added 10/19/2026, 9:14 AM, edited 10/21/2026, 4:02 PM" - "" when nothing is recorded
+function describeAuthorship(comment) {
+  const date = (iso) => new Date(iso).toLocaleString();
+  const parts = [];
+  if (comment.author) parts.push(`by ${comment.author}`);
+  if (comment.createdAt) parts.push(`added ${date(comment.createdAt)}`);
+  if (comment.updatedAt && comment.updatedAt !== comment.createdAt) parts.push(`edited ${date(comment.updatedAt)}`);
+  return parts.join(", ");
+}
+
+// Tree data provider for the "VCM Orphaned Comments" view
+// Lists stored comments whose code could not be found (flagged orphaned: true in .vcm), grouped by file
+// loadOrphans → async () => [{ relativePath, fileUri, comments: [{ comment, isPrivate }] }]
+class OrphanedCommentsProvider {
+  constructor(loadOrphans) {
+    this.loadOrphans = loadOrphans;
+    // Fired with undefined to tell VS Code the whole tree changed and getChildren() must be called again
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire(undefined);
+  }
+
+  // Root level → one node per file with orphans, file level → its orphaned comments
+  async getChildren(element) {
+    if (!element) {
+      const files = await this.loadOrphans();
+      return files.map(file => ({ kind: "file", ...file }));
+    }
+    if (element.kind === "file") {
+      return element.comments.map(entry => ({ kind: "comment", relativePath: element.relativePath, fileUri: element.fileUri, ...entry }));
+    }
+    return [];
+  }
+
+  getTreeItem(element) {
+    if (element.kind === "file") {
+      const item = new vscode.TreeItem(element.relativePath, vscode.TreeItemCollapsibleState.Expanded);
+      item.resourceUri = element.fileUri; // file icon from the current icon theme
+      item.description = `${element.comments.length} orphaned`;
+      item.contextValue = "vcmOrphanedFile";
+      return item;
+    }
+
+    // Label with the first non-blank comment line, description with where it used to be
+    const { comment, isPrivate } = element;
+    const texts = comment.type === "inline"
+      ? [comment.text_cleanMode || comment.text || ""]
+      : (comment.block || comment.text_cleanMode || []).map(l => l.text);
+    const label = (texts.find(t => t.trim()) || "(empty comment)").trim();
+    const lastLine = comment.type === "inline" ? comment.originalLineIndex : comment.block?.[0]?.originalLineIndex;
+    const where = comment.type === "inline" ? "was on" : "was above";
+
+    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+    item.description = comment.anchorText ? `${where} "${comment.anchorText.trim()}"` : "";
+    if (typeof lastLine === "number") item.description += ` (line ${lastLine + 1})`;
+    const authorship = describeAuthorship(comment);
+    item.tooltip = texts.join("\n") + (authorship ? `\n\n${authorship}` : "");
+    item.iconPath = new vscode.ThemeIcon(isPrivate ? "lock" : "comment");
+    item.contextValue = "vcmOrphanedComment";
+
+    // Clicking a comment opens its file at the last known line
+    if (typeof lastLine === "number") {
+      item.command = {
+        command: "vscode.open",
+        title: "Open File",
+        arguments: [element.fileUri, { selection: new vscode.Range(lastLine, 0, lastLine, 0) }],
+      };
+    }
+    return item;
+  }
+}
+
 // Create a unique hash for each line of code based ONLY on content
 // This makes the hash stable even when line numbers change
 // Format: MD5(trimmed_line) truncated to 8 chars
@@ -218,234 +1053,203 @@ function hashLine(line, lineIndex) {
   .digest("hex") // Finalizes the hash and converts it to a hexadecimal string.
 }
 
-// Detect initial state: are comments visible or hidden?
-// Returns: true if comments are visible (isCommented), false if in clean mode
-async function detectInitialMode(doc, vcmDir) {
-  // get file path relative to workspace root
-  const relativePath = vscode.workspace.asRelativePath(doc.uri);
-
-  try { // Try to load the VCM metadata file
-    // Detection logic:
-    // - If shared comments are visible → commented mode
-    // - If only private (or no comments) → clean mode
-    const { sharedComments } = await loadAllComments(relativePath);
-    const comments = sharedComments || [];
-
-    // No shared comments exist → default to clean mode
-    if (comments.length === 0) {
-      return false;
-    }
-
-    // filter through shared comments and keep only those where alwaysShow property is false or undefined.
-    // This separates the comments that are optional (toggleable) from ones that are permanently displayed.
-    const nonAlwaysShowComments = comments.filter(c => !c.alwaysShow);
-
-    // If *Only* alwaysShow shared comments exist, check if any are visible
-    if (nonAlwaysShowComments.length === 0) {
-      // Rare case: only alwaysShow comments
-      // Just check if first alwaysShow comment is visible
-      if (comments.length > 0) {
-        const firstComment = comments[0];
-        const lines = doc.getText().split('\n');
-        const lineIndex = firstComment.originalLineIndex;
-
-        if (lineIndex < lines.length) {
-          const currentLine = lines[lineIndex];
-          const commentText = firstComment.text || (firstComment.block && firstComment.block[0] ? firstComment.block[0].text : '');
-          if (commentText && currentLine.includes(commentText)) {
-            return true; // alwaysShow comment found, commented mode
-          }
-        }
-      }
-      return false;
-    }
-
-    // Standard case: Check if first 3 shared (non-alwaysShow) comments are visible
-    // Load private comments to exclude them from detection (only first 3 for efficiency)
-    const { privateComments } = await loadAllComments(relativePath);
-    const privateTexts = new Set();
-    const privateCheckLimit = Math.min(3, privateComments.length);
-    for (let i = 0; i < privateCheckLimit; i++) {
-      const pc = privateComments[i];
-      if (pc.type === 'inline') {
-        privateTexts.add(pc.text);
-      } else if (pc.block) {
-        for (const block of pc.block) {
-          privateTexts.add(block.text);
-        }
-      }
-    }
-
-    // Extract current comments (only what we need for comparison)
-    const text = doc.getText();
-    const currentComments = extractComments(text, doc.uri.path);
-
-    // Filter current comments to only non-private ones
-    const currentNonPrivateComments = currentComments.filter(c => {
-      if (c.type === 'inline') {
-        return !privateTexts.has(c.text);
-      } else if (c.block) {
-        return !c.block.some(b => privateTexts.has(b.text));
-      }
-      return true;
-    });
+// The code part of a line, without its inline comment (scannedLine comes from scanCommentLines)
+// Anchors hash only this, so a block above "x = 5  # note" still finds "x = 5" once the note is hidden
+function codePortion(line, scannedLine) {
+  if (scannedLine && !scannedLine.isComment && scannedLine.commentStart >= 0) {
+    return line.substring(0, scannedLine.commentStart);
+  }
+  return line;
+}
 
-    // If no non-private comments in document, we're in clean mode
-    if (currentNonPrivateComments.length === 0) {
-      return false;
+// Fuzzy re-anchoring (see injectComments): used when a comment's anchor line was edited and its hash no longer matches
+// score = similarity of the stored anchorText to a code line + 0.1 for each matching neighbor (prevHash / nextHash)
+// and + 0.1 when the line is inside the comment's symbol (symbolPath)
+const FUZZY_MIN_SIMILARITY = 0.4;   // below this the line is unrelated, whatever its neighbors
+const FUZZY_MIN_SCORE = 0.6;        // weakest match offered at all - the user confirms these
+const FUZZY_CONFIDENT_SCORE = 0.8;  // matches this good are re-attached without asking
+const FUZZY_WINDOW = 100;           // only lines this far from where the comment used to be are candidates
+const FUZZY_MAX_COMPARISONS = 5000; // edit-distance comparisons per placement - comments past this stay orphaned
+
+// Levenshtein edit distance: how many single-character inserts, deletes or substitutions turn a into b
+// Stops early once every path is longer than maxDistance and returns maxDistance + 1 (the caller only needs "too far")
+function editDistance(a, b, maxDistance = Infinity) {
+  // Two reused rows and plain comparisons - this runs thousands of times per fuzzy pass
+  let previousRow = new Uint32Array(b.length + 1);
+  let row = new Uint32Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previousRow[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i;
+    let rowMin = i;
+    const charA = a.charCodeAt(i - 1);
+    for (let j = 1; j <= b.length; j++) {
+      let cell = previousRow[j - 1] + (charA === b.charCodeAt(j - 1) ? 0 : 1);
+      if (previousRow[j] + 1 < cell) cell = previousRow[j] + 1;
+      if (row[j - 1] + 1 < cell) cell = row[j - 1] + 1;
+      row[j] = cell;
+      if (cell < rowMin) rowMin = cell;
     }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previousRow, row] = [row, previousRow];
+  }
+  return previousRow[b.length];
+}
 
-    // Check if any of the first 3 shared comments exist in the non-private comments
-    const checkCount = Math.min(3, nonAlwaysShowComments.length);
-    for (let i = 0; i < checkCount; i++) {
-      const sharedComment = nonAlwaysShowComments[i];
-
-      // Get the text to match
-      let sharedText;
-      if (sharedComment.type === 'inline') {
-        sharedText = sharedComment.text_cleanMode || sharedComment.text;
-      } else if (sharedComment.block) {
-        if (sharedComment.text_cleanMode && sharedComment.text_cleanMode[0]) {
-          sharedText = sharedComment.text_cleanMode[0].text;
-        } else if (sharedComment.block[0]) {
-          sharedText = sharedComment.block[0].text;
-        }
-      }
-
-      if (!sharedText) continue;
-
-      // Check if this shared comment exists in the current non-private comments
-      const found = currentNonPrivateComments.some(c => {
-        if (c.type === 'inline') {
-          return c.text && c.text.includes(sharedText);
-        } else if (c.block) {
-          return c.block.some(b => b.text && b.text.includes(sharedText));
-        }
-        return false;
-      });
+// How alike two code lines are: 1 = same text (ignoring indentation), 0 = nothing in common
+function lineSimilarity(a, b) {
+  a = a.trim();
+  b = b.trim();
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  // The edit distance is at least the length difference - skip the full comparison when that alone rules it out
+  const maxDistance = Math.floor(longest * (1 - FUZZY_MIN_SIMILARITY));
+  if (Math.abs(a.length - b.length) > maxDistance) return 0;
+  const distance = editDistance(a, b, maxDistance);
+  return distance > maxDistance ? 0 : 1 - distance / longest;
+}
 
-      if (!found) {
-        return false; // Shared comment not found - we're in clean mode
+// Symbol kinds that make up a symbol path ("MyClass > render") - variables, fields and the like are too fine-grained
+const SYMBOL_PATH_KINDS = new Set([
+  vscode.SymbolKind.Module,
+  vscode.SymbolKind.Namespace,
+  vscode.SymbolKind.Package,
+  vscode.SymbolKind.Class,
+  vscode.SymbolKind.Method,
+  vscode.SymbolKind.Constructor,
+  vscode.SymbolKind.Enum,
+  vscode.SymbolKind.Interface,
+  vscode.SymbolKind.Function,
+  vscode.SymbolKind.Struct,
+]);
+
+// Enclosing symbol path of every line, from vscode.executeDocumentSymbolProvider results
+// Accepts DocumentSymbol[] (nested children) or SymbolInformation[] (flat, with containerName)
+// Returns one entry per line: "MyClass > render", or null outside any symbol
+function symbolPathsByLine(symbols, lineCount) {
+  const paths = new Array(lineCount).fill(null);
+  const rangeOf = (symbol) => symbol.range || symbol.location?.range;
+
+  const visit = (symbol, parentPath) => {
+    const counts = SYMBOL_PATH_KINDS.has(symbol.kind);
+    const path = counts ? (parentPath ? `${parentPath} > ${symbol.name}` : symbol.name) : parentPath;
+    const range = rangeOf(symbol);
+    if (counts && range) {
+      for (let line = Math.max(0, range.start.line); line <= Math.min(lineCount - 1, range.end.line); line++) {
+        paths[line] = path;
       }
     }
+    // Children after their parent, so the innermost symbol wins
+    for (const child of symbol.children || []) visit(child, path);
+  };
 
-    return true; // All shared sample comments were present, so we're in commented mode.
+  // Widest ranges first: a flat SymbolInformation list has no nesting to rely on
+  const size = (symbol) => (rangeOf(symbol) ? rangeOf(symbol).end.line - rangeOf(symbol).start.line : 0);
+  for (const symbol of [...(symbols || [])].sort((a, b) => size(b) - size(a))) {
+    visit(symbol, symbol.containerName || null);
+  }
+  return paths;
+}
 
-  } catch { // If the .vcm.json didn’t exist or was unreadable:
-    // Check if the actual file has comments
-    const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-    const lines = doc.getText().split('\n');
+// Carry per-line values from one version of a file to another with comments added or removed
+// Both versions have the same code lines in the same order, so the n-th code line of one is the n-th of the other
+// Blank and comment lines get null
+function mapLinesByCode(values, fromText, toText, filePath) {
+  const codeLineIndices = (text) => {
+    const lines = text.split("\n");
+    const scanned = scanCommentLines(text, filePath);
+    return lines.map((_, i) => i).filter(i => lines[i].trim() && !scanned[i].isComment);
+  };
 
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
+  const fromCode = codeLineIndices(fromText);
+  const toCode = codeLineIndices(toText);
+  const mapped = new Array(toText.split("\n").length).fill(null);
+  toCode.forEach((toIdx, n) => {
+    if (n < fromCode.length) mapped[toIdx] = values[fromCode[n]] ?? null;
+  });
+  return mapped;
+}
 
-      for (const marker of commentMarkers) {
-        // If any line begins with a comment marker, return true (commented).
-        if (trimmed.startsWith(marker)) {
-          return true; // File has comments - isCommented = true
-        }
-      }
-    }
+// The first line of the wording clean mode hides (an inline comment's text, a block's lines), trimmed - or null
+// text_cleanMode is left out: comments typed in clean mode are in the file in both modes.
+function hiddenCommentLine(comment) {
+  const texts = comment.type === "inline" ? [comment.text] : (comment.block || []).map(l => l.text);
+  return texts.map(t => (typeof t === "string" ? t.trim() : "")).find(Boolean) || null;
+}
 
-    return false; // No comments found - isCommented = false
+// Are most of these stored comments in the text? null when none of them can tell (nothing the toggle hides)
+// Always Show and orphaned entries are skipped: the first are in the file in both modes, the second in neither.
+function storedCommentsVisible(storedComments, text, filePath) {
+  const expected = storedComments
+    .filter(c => !c.alwaysShow && !c.orphaned)
+    .map(withoutFunctionalComments)
+    .filter(Boolean)
+    .map(hiddenCommentLine)
+    .filter(Boolean);
+  if (expected.length === 0) return null;
+
+  const present = new Set();
+  for (const current of extractComments(text, filePath)) {
+    const texts = current.type === "inline" ? [current.text] : (current.block || []).map(l => l.text);
+    texts.forEach(t => t && t.trim() && present.add(t.trim()));
   }
+  const found = expected.filter(line => present.has(line)).length;
+  return found * 2 > expected.length;
+}
+
+// Detect initial state: are comments visible or hidden?
+// stored → { sharedComments, privateComments } as loadAllComments returns them (the callers in activate load it)
+// Only the shared comments clean mode hides decide it, so Always Show comments, visible private comments and comments
+// typed in clean mode don't make a clean file look commented. An even split counts as clean: saving a clean file
+// in commented mode would drop every hidden comment, while the other mistake only stores visible ones again.
+// A file with nothing hideable stored is commented when it has comments at all - VCM hasn't stored them yet.
+// Returns: true if comments are visible (isCommented), false if in clean mode
+function detectInitialMode(text, filePath, stored) {
+  const visible = storedCommentsVisible(stored.sharedComments || [], text, filePath);
+  return visible !== null ? visible : extractComments(text, filePath).length > 0;
 }
 
-// Detect if private comments are currently visible in the document
+// Detect if private comments are currently visible in the document (same rules as detectInitialMode)
 // Returns: true if private comments are visible, false if hidden
 // This is a FALLBACK - should only be used when state is not in the map
-async function detectPrivateVisibility(doc, relativePath) {
-  try {
-    // Load private comments from VCM
-    const { privateComments } = await loadAllComments(relativePath);
-
-    // If no private comments exist, return false (nothing to show)
-    if (privateComments.length === 0) {
-      return false;
-    }
-
-    // Extract current comments from document (only need to check if ONE exists)
-    const text = doc.getText();
-    const currentComments = extractComments(text, doc.uri.path);
-
-    // Only check the first private comment for efficiency (if one is visible, they all should be)
-    const firstPrivate = privateComments[0];
-    const firstPrivateKey = `${firstPrivate.type}:${firstPrivate.anchor}:${firstPrivate.prevHash || 'null'}:${firstPrivate.nextHash || 'null'}`;
-    const firstPrivateText = firstPrivate.text || (firstPrivate.block ? firstPrivate.block.map(b => b.text).join('\n') : '');
-
-    // Check if the first private comment exists in current document
-    for (const current of currentComments) {
-      const currentKey = `${current.type}:${current.anchor}:${current.prevHash || 'null'}:${current.nextHash || 'null'}`;
-
-      // Match by key (exact anchor match)
-      if (currentKey === firstPrivateKey) {
-        return true; // Found the first private comment in the document
-      }
-
-      // Match by text (in case anchor changed)
-      if (firstPrivateText) {
-        const currentText = current.text || (current.block ? current.block.map(b => b.text).join('\n') : '');
-        if (currentText === firstPrivateText) {
-          return true; // Found the first private comment by text match
-        }
-      }
-    }
-
-    // First private comment not found in document
-    return false;
-  } catch (error) {
-    // If we can't detect (no VCM file, etc.), default to hidden
-    return false;
-  }
+function detectPrivateVisibility(text, filePath, stored) {
+  return storedCommentsVisible(stored.privateComments || [], text, filePath) === true;
 }
 
 // -----------------------------------------------------------------------------
 // Comment Extraction
 // -----------------------------------------------------------------------------
 // text: the entire file content (string), filePath: the full path
-function extractComments(text, filePath, existingVCMComments = null, isCleanMode = false, debugAnchorText = false) {
+// lineSymbols: optional enclosing symbol path per line (see symbolPathsByLine), stored as symbolPath on each comment
+function extractComments(text, filePath, existingVCMComments = null, isCleanMode = false, lineSymbols = null) {
   const lines = text.split("\n"); // Splits file text into an array of individual lines.
   const comments = [];      // Final array of all extracted comments
   let commentBuffer = [];   // Temporary holding area for consecutive comment lines
 
-  // Get comment markers for this file type from our centralized config list
-  const commentMarkers = getCommentMarkersForFile(filePath);
+  // Classify every line once (handles multi-line /* */, <!-- -->, docstrings, etc.)
+  const scanned = scanCommentLines(text, filePath);
 
-  // Build regex pattern for this file type
-  // .replace() escapes special regex characters like *, ?, (, ), etc., because // or % would otherwise break the regex engine.
-  // .join('|') means “match any of these markers.”
-  // Example:
-  // If commentMarkers = ["//", "#"],
-  // then markerPattern = "\\/\\/|#" — usable inside new RegExp().
-  const markerPattern = commentMarkers.map(m => m.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
-  
   // Helper: Check if a line is a comment or code
-  const isComment = (l) => {
-    const trimmed = l.trim(); // Remove whitespace
-    for (const marker of commentMarkers) { // loop over all possible markers for this file
-      // Check whether the line begins with any marker and return true if so
-      if (trimmed.startsWith(marker)) return true;
-    }
-    return false; // not a comment line
-  };
+  const isComment = (index) => scanned[index].isComment;
 
   // Helper: Find the next non-blank code line after index i
   const findNextCodeLine = (startIndex) => {
     for (let j = startIndex + 1; j < lines.length; j++) { // Loops forward from the given index.
       const trimmed = lines[j].trim();
-      if (trimmed && !isComment(lines[j])) { // Skip blank lines and comments.
+      if (trimmed && !isComment(j)) { // Skip blank lines and comments.
         return j; // return code lines index
       }
     }
     return -1; // if none found, return to last line of code's index we found.
   };
 
+  // Helper: Hash a code line without its inline comment (see codePortion)
+  const hashCode = (index) => hashLine(codePortion(lines[index], scanned[index]), 0);
+
   // Helper: Find the previous non-blank code line before index i
   const findPrevCodeLine = (startIndex) => {
     for (let j = startIndex - 1; j >= 0; j--) {
       const trimmed = lines[j].trim();
-      if (trimmed && !isComment(lines[j])) {
+      if (trimmed && !isComment(j)) {
         return j; // index of next line of code
       }
     }
@@ -457,8 +1261,8 @@ function extractComments(text, filePath, existingVCMComments = null, isCleanMode
     const line = lines[i];
     const trimmed = line.trim();
 
-    // CASE 1: This line is a standalone comment
-    if (isComment(line)) {
+    // CASE 1: This line is a standalone comment (or part of a multi-line block comment)
+    if (isComment(i)) {
       // Store the ENTIRE line as-is (includes indent, marker, spacing, text, trailing spaces)
       commentBuffer.push({
         text: line,           // Full line exactly as it appears
@@ -482,13 +1286,9 @@ function extractComments(text, filePath, existingVCMComments = null, isCleanMode
     }
 
     // CASE 2: This line is code - check for inline comment(s)
-    // Find the first comment marker preceded by white space and extract everything after it as ONE combined comment
-    // (\\s+) → one or more whitespace characters
-    let inlineRegex = new RegExp(`(\\s+)(${markerPattern})`, "");
-    let match = line.match(inlineRegex);
-
-    if (match) {
-      const commentStartIndex = match.index; // tells where the comment begins.
+    // The scanner found the first comment marker preceded by white space; everything after it is ONE combined comment
+    if (scanned[i].commentStart >= 0) {
+      const commentStartIndex = scanned[i].commentStart; // tells where the comment begins.
       const fullComment = line.substring(commentStartIndex); // extract from that point to the end → the whole inline comment.
 
       // Context line hashes that are before and after
@@ -499,17 +1299,19 @@ function extractComments(text, filePath, existingVCMComments = null, isCleanMode
       const anchorBase = line.substring(0, commentStartIndex).trimEnd();
 
       const inlineComment = {
+        id: newCommentId(), // replaced by the stored id when this comment is already in .vcm (see matchStoredComments)
         type: "inline",
         anchor: hashLine(anchorBase, 0), // hash of the line's code (for identification later),
-        prevHash: prevIdx >= 0 ? hashLine(lines[prevIdx], 0) : null,
-        nextHash: nextIdx >= 0 ? hashLine(lines[nextIdx], 0) : null,
+        prevHash: prevIdx >= 0 ? hashCode(prevIdx) : null,
+        nextHash: nextIdx >= 0 ? hashCode(nextIdx) : null,
         originalLineIndex: i, // the line number it appeared on (changes per mode so not reliable alone)
         text: fullComment,  // Store ALL inline comments as one combined text
+        anchorText: anchorBase, // the code itself, for fuzzy re-anchoring when this line is edited
       };
 
-      // Add debug anchor text if enabled
-      if (debugAnchorText) {
-        inlineComment.anchorText = anchorBase;
+      // Enclosing symbol ("MyClass > render") - tells apart identical lines like "}" or "return;"
+      if (lineSymbols?.[i]) {
+        inlineComment.symbolPath = lineSymbols[i];
       }
 
       comments.push(inlineComment);
@@ -527,17 +1329,25 @@ function extractComments(text, filePath, existingVCMComments = null, isCleanMode
       const fullBlock = commentBuffer;
 
       const blockComment = {
+        id: newCommentId(),
         type: "block",
-        anchor: hashLine(line, 0), // Just content hash
-        prevHash: prevIdx >= 0 ? hashLine(lines[prevIdx], 0) : null,
-        nextHash: nextIdx >= 0 ? hashLine(lines[nextIdx], 0) : null,
+        anchor: hashCode(i), // Just content hash of the code (an inline comment on this line is stored separately)
+        prevHash: prevIdx >= 0 ? hashCode(prevIdx) : null,
+        nextHash: nextIdx >= 0 ? hashCode(nextIdx) : null,
         insertAbove: true, // when re-adding comments, they should appear above that line.
         block: fullBlock,
+        anchorText: codePortion(line, scanned[i]).trimEnd(), // the code itself, for fuzzy re-anchoring when this line is edited
       };
 
-      // Add debug anchor text if enabled
-      if (debugAnchorText) {
-        blockComment.anchorText = line;
+      // Enclosing symbol of the code line below the block
+      if (lineSymbols?.[i]) {
+        blockComment.symbolPath = lineSymbols[i];
+      }
+
+      // No code above this block → it's the file header (copyright notice, module docstring...)
+      // Anchor it to the start of the file so it returns to the top even if the first code line changes
+      if (prevIdx === -1) {
+        blockComment.anchorKind = "fileStart";
       }
 
       comments.push(blockComment);
@@ -545,51 +1355,233 @@ function extractComments(text, filePath, existingVCMComments = null, isCleanMode
     }
   }
 
-  // CASE 4: Handle comments at the top of file (before any code)
-  // These are typically file headers, copyright notices, or module docstrings
-  if (commentBuffer.length > 0) {
-    // Find the first actual line of code in the file
-    const firstCodeIndex = lines.findIndex((l) => l.trim() && !isComment(l));
-    const anchorLine = firstCodeIndex >= 0 ? firstCodeIndex : 0;
+  // CASE 4: Comments left over after the last line of code
+  // These are typically license footers, "end of module" markers or trailing TODOs
+  // (or the whole file, when it holds nothing but comments)
+  if (commentBuffer.length > 0) {
+    const lastCodeIndex = findPrevCodeLine(commentBuffer[0].originalLineIndex);
+    const hasCode = lastCodeIndex >= 0;
+
+    const trailingComment = {
+      id: newCommentId(),
+      type: "block",
+      // fileEnd → re-inserted after the last line, fileStart → the file has no code to anchor to
+      anchorKind: hasCode ? "fileEnd" : "fileStart",
+      anchor: hasCode ? hashCode(lastCodeIndex) : hashLine("", 0), // last code line, for identification only
+      prevHash: hasCode ? hashCode(lastCodeIndex) : null,
+      nextHash: null, // Nothing after the end of the file
+      insertAbove: !hasCode,
+      block: commentBuffer,
+      anchorText: hasCode ? codePortion(lines[lastCodeIndex], scanned[lastCodeIndex]).trimEnd() : "",
+    };
+
+    // Keep file order: footers go last
+    comments.push(trailingComment);
+  }
+
+  return comments;
+}
+
+// -----------------------------------------------------------------------------
+// Comment Identity
+// -----------------------------------------------------------------------------
+// Every stored comment has an id, given when it is first extracted and kept in .vcm.json from then on.
+// Documents don't carry ids, so a comment read back from the editor gets its id by being matched to a stored entry.
+function newCommentId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// Text of an inline text, a block's lines, or a text_cleanMode value ("" when empty)
+function commentBody(value) {
+  if (typeof value === "string") return value;
+  return Array.isArray(value) ? value.map(l => l.text).join("\n") : "";
+}
+
+// Texts a stored comment can show up with: its stored text, and the version typed in clean mode
+function storedCommentTexts(comment) {
+  return [commentBody(comment.type === "inline" ? comment.text : comment.block), commentBody(comment.text_cleanMode)].filter(Boolean);
+}
+
+// Matching passes, strictest first. withText passes compare the comment text too;
+// anchored passes rely on the anchor hash, so they skip orphaned entries (their anchor line holds something else).
+const COMMENT_MATCH_PASSES = [
+  { withText: true, anchored: true, key: (c, text) => `${c.anchor}:${c.prevHash}:${c.nextHash}:${text}` }, // unchanged
+  { withText: true, anchored: true, key: (c, text) => `${c.anchor}:${text}` },                             // code around it changed
+  { withText: true, anchored: false, key: (c, text) => `${c.prevHash}:${c.nextHash}:${text}` },            // its own code line was edited
+  { withText: true, anchored: false, key: (c, text) => text },                                            // moved with its code
+  { withText: false, anchored: true, key: (c) => `${c.anchor}:${c.prevHash}:${c.nextHash}` },              // text edited in place
+  { withText: false, anchored: true, key: (c) => c.anchor },                                              // text and surroundings edited
+];
+
+// Pair comments extracted from a document with the stored entries they came from, one to one
+// Each matched current comment takes the stored entry's id; unmatched ones keep the fresh id extractComments gave them.
+// When several stored entries fit equally (same anchor and text), the one last seen closest to the comment's line wins.
+// Returns a Map of current comment -> stored entry
+function matchStoredComments(currentComments, storedComments) {
+  const matches = new Map();
+  const used = new Set();
+  const lineOf = (c) => (c.type === "inline" ? c.originalLineIndex : c.block?.[0]?.originalLineIndex) ?? 0;
+
+  for (const pass of COMMENT_MATCH_PASSES) {
+    const byKey = new Map();
+    for (const stored of storedComments) {
+      if (used.has(stored) || (pass.anchored && stored.orphaned)) continue;
+      for (const text of pass.withText ? storedCommentTexts(stored) : [""]) {
+        const key = `${stored.type}|${pass.key(stored, text)}`;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(stored);
+      }
+    }
+
+    for (const current of currentComments) {
+      if (matches.has(current)) continue;
+      const text = commentBody(current.type === "inline" ? current.text : current.block);
+      if (pass.withText && !text) continue;
+
+      const candidates = (byKey.get(`${current.type}|${pass.key(current, text)}`) || []).filter(s => !used.has(s));
+      if (candidates.length === 0) continue;
+      const distance = (stored) => Math.abs(lineOf(stored) - lineOf(current));
+      const best = candidates.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+
+      used.add(best);
+      matches.set(current, best);
+      if (best.id) current.id = best.id;
+    }
+  }
+
+  return matches;
+}
+
+// Comments in the text that are not stored with that wording (new, or edited since the mirrors were written)
+// Blank lines don't count - a block's blank lines depend on the mode it was extracted in.
+function unstoredComments(text, filePath, storedComments) {
+  const current = extractComments(text, filePath);
+  const matches = matchStoredComments(current, storedComments);
+  const wording = (value) => commentBody(value).split("\n").map(l => l.trim()).filter(Boolean).join("\n");
+  return current.filter(c => {
+    const stored = matches.get(c);
+    return !stored || !storedCommentTexts(stored).map(wording).includes(wording(c.type === "inline" ? c.text : c.block));
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Comment Injection
+// -----------------------------------------------------------------------------
+// Reconstruct source code by injecting comments back into clean code
+// cleanText → the code in clean mode (with comments stripped out).
+// comments → parsed metadata previously extracted from the commented version (what you want to re-inject).
+// includePrivate → flag to decide whether to re-insert private comments.. Default to privatemode off unless specified to avoid undefined
+// filePath → lets inline comments still visible in cleanText (alwaysShow, private) be ignored when matching anchors
+// report → optional { orphaned, reanchored, lowConfidence, acceptLowConfidence, skipFuzzy } filled in for the caller:
+//   orphaned: comments that could not be placed (never dropped silently - the caller keeps them in .vcm)
+//   reanchored: fuzzy matches that were placed on an edited line, with the new anchor to store
+//   lowConfidence: fuzzy matches too weak to place without asking (also in orphaned unless acceptLowConfidence)
+//   skipFuzzy: place by anchor hash only - comments whose line changed are orphaned without comparing lines
+// lineSymbols → optional enclosing symbol path per line of cleanText; candidates inside the comment's symbolPath win
+function injectComments(cleanText, comments, includePrivate = false, filePath = null, report = null, lineSymbols = null) {
+  const { lines, fileStartIndex, fileStartBlocks, blockMap, inlineMap, fileEndBlocks } =
+    placeComments(cleanText, comments, includePrivate, filePath, report, lineSymbols);
+  const result = [];  // Where you’ll push lines and comments in order, then join back later.
+
+  // Helper: push every line of a block comment into the result
+  const pushBlockLines = (block) => {
+    // Inject all lines from the block (includes leading blanks, comments, and trailing blanks)
+    for (const lineObj of blockCommentLines(block)) {
+      result.push(lineObj.text);
+    }
+  };
+
+  // Rebuild the file line by line
+  // Iterate through every line of clean code
+  // i represents both position in original clean code and potential anchor target for comments.
+  for (let i = 0; i < lines.length; i++) {
+    // STEP 0: The file header goes above the first line of code
+    if (i === fileStartIndex) {
+      fileStartBlocks.forEach(pushBlockLines);
+    }
+
+    // STEP 1: Insert any block comments anchored to this line
+    // blocks maps anchor index → block comment(s) that should appear above this code line.
+    const blocks = blockMap.get(i);
+    // Handle the case of multiple comment blocks anchored to the same code line (stacked).
+    if (blocks) {
+      blocks.forEach(pushBlockLines);
+    }
+
+    // STEP 2: Add the code line itself
+    let line = lines[i];
+
+    // STEP 3: Check if this line has inline comments
+    // A shared and a private inline comment can share a line - append them in file order
+    const inlines = inlineMap.get(i) || [];
+    for (const inline of inlines) {
+      line += inlineCommentText(inline);
+    }
+    result.push(line);
+  }
+
+  // A file with no code at all: the header is all there is
+  if (fileStartIndex === lines.length) {
+    fileStartBlocks.forEach(pushBlockLines);
+  }
+
+  // Footers go after the last line of the file
+  fileEndBlocks.forEach(pushBlockLines);
 
-    // For file header comments, there's no previous code line
-    const nextIdx = findNextCodeLine(anchorLine - 1);
+  return result.join("\n");
+}
 
-    const headerComment = {
-      type: "block",
-      anchor: hashLine(lines[anchorLine] || "", 0), // Just content hash
-      prevHash: null, // No previous code line before file header
-      nextHash: nextIdx >= 0 ? hashLine(lines[nextIdx], 0) : null,
-      insertAbove: true,
-      block: commentBuffer,
-    };
+// The lines a block comment is injected as: text_cleanMode (newly typed version) when it differs, otherwise block
+function blockCommentLines(block) {
+  const hasTextCleanMode = block.text_cleanMode && Array.isArray(block.text_cleanMode);
+  const cleanModeTexts = hasTextCleanMode ? block.text_cleanMode.map(b => b.text).join('\n') : '';
+  const blockTexts = block.block ? block.block.map(b => b.text).join('\n') : '';
+  const blocksIdentical = hasTextCleanMode && block.block && cleanModeTexts === blockTexts;
 
-    // Add debug anchor text if enabled
-    if (debugAnchorText) {
-      headerComment.anchorText = lines[anchorLine] || "";
-    }
+  if (hasTextCleanMode && !blocksIdentical) return block.text_cleanMode;
+  return block.block || []; // VCM version or identical
+}
 
-    // Insert this block at the beginning of the comments array
-    comments.unshift(headerComment);
-  }
+// The text an inline comment appends to its code line
+// Only use text_cleanMode if it's different from text (avoid double injection)
+function inlineCommentText(inline) {
+  const hasTextCleanMode = inline.text_cleanMode && typeof inline.text_cleanMode === 'string';
+  const textsIdentical = hasTextCleanMode && inline.text === inline.text_cleanMode;
 
-  return comments;
+  let commentText = "";
+  if (hasTextCleanMode && !textsIdentical) {
+    commentText += inline.text_cleanMode;
+  }
+  // Add original text (only if no text_cleanMode or they're identical)
+  if (inline.text && (!hasTextCleanMode || textsIdentical)) {
+    commentText += inline.text;
+  }
+  return commentText;
 }
 
-// -----------------------------------------------------------------------------
-// Comment Injection
-// -----------------------------------------------------------------------------
-// Reconstruct source code by injecting comments back into clean code
-// cleanText → the code in clean mode (with comments stripped out).
-// comments → parsed metadata previously extracted from the commented version (what you want to re-inject).
-// includePrivate → flag to decide whether to re-insert private comments.. Default to privatemode off unless specified to avoid undefined
-function injectComments(cleanText, comments, includePrivate = false) {
+// Work out where each stored comment goes in cleanText, without building the text (same arguments as injectComments)
+// Shared by injectComments and the virtual comments view, which draws the comments instead of writing them.
+// Returns { lines, fileStartIndex, fileStartBlocks, blockMap, inlineMap, fileEndBlocks }:
+//   blockMap / inlineMap: line index → the block comments that go above it / the inline comments appended to it
+function placeComments(cleanText, comments, includePrivate = false, filePath = null, report = null, lineSymbols = null) {
   // split("\n") turns the code into an array of lines so you can loop by index.
-  const lines = cleanText.split("\n");
-  const result = [];  // Where you’ll push lines and comments in order, then join back later.
+  // An empty file has no lines at all (not one blank line) so a comments-only file round-trips exactly
+  const lines = cleanText === "" ? [] : cleanText.split("\n");
+
+  // The code part of each line - anchors were hashed without inline comments (see extractComments)
+  const scanned = filePath ? scanCommentLines(cleanText, filePath) : [];
+  const codeLines = lines.map((line, i) => codePortion(line, scanned[i]));
+  const isCodeLine = (i) => codeLines[i].trim() && !scanned[i]?.isComment;
 
   // Include/exclude private comments based on if includePrivate is toggled on or off
-  const commentsToInject = comments.filter(c => {
+  // Functional comments (directives, license headers) never left the file, so older mirror entries holding them are skipped
+  // originalOf maps each cleaned entry back to the caller's object, so orphans are reported as the objects passed in
+  const originalOf = new Map();
+  const commentsToInject = comments.map(c => {
+    const cleaned = withoutFunctionalComments(c);
+    if (cleaned) originalOf.set(cleaned, c);
+    return cleaned;
+  }).filter(Boolean).filter(c => {
     if (c.alwaysShow) return false; // Always exclude alwaysShow (managed separately)
     if (c.isPrivate && !includePrivate) return false; // Exclude private if not explicitly included
     return true;
@@ -601,11 +1593,11 @@ function injectComments(cleanText, comments, includePrivate = false) {
   const lineHashToIndices = new Map();
   for (let i = 0; i < lines.length; i++) { // Iterates through every line.
     // Remove whitespace per line and if the result is empty (meaning blank line), it skips it. You don’t hash blank lines because they’re not meaningful anchors for comments.
-    if (lines[i].trim()) { 
+    if (isCodeLine(i)) {
       // Hash each unique content line
       // Takes the current line’s code content (not line number) and generates a deterministic hash.
       // Hashes let you re-anchor comments even if the code is moved up or down because you can later match by the same hash.
-      const hash = hashLine(lines[i], 0); 
+      const hash = hashLine(codeLines[i], 0);
       if (!lineHashToIndices.has(hash)) { // If this hash hasn’t been seen before
         lineHashToIndices.set(hash, []); // Create a new list as its value in the map.
       }
@@ -620,8 +1612,9 @@ function injectComments(cleanText, comments, includePrivate = false) {
 
   // Helper: Find best matching line index among duplicates using context hashes
   // When several lines share the same content hash, this function decides which one should anchor the comment.
-  const findBestMatch = (comment, candidateIndices, usedIndices) => {
-    if (candidateIndices.length === 1) { // Shortcut: if only one match: done.
+  // allowReuse = false → returns -1 when every candidate is already taken (the caller reports the comment as orphaned)
+  const findBestMatch = (comment, candidateIndices, usedIndices, allowReuse = true) => {
+    if (candidateIndices.length === 1 && allowReuse) { // Shortcut: if only one match: done.
       return candidateIndices[0]; // return that one match
     }
 
@@ -630,8 +1623,8 @@ function injectComments(cleanText, comments, includePrivate = false) {
     // → You filter them out so you don’t attach multiple comment blocks to the same line.
     const available = candidateIndices.filter(idx => !usedIndices.has(idx));
     if (available.length === 0) {
-      // All used, fall back to any candidate
-      return candidateIndices[0];
+      // All used, fall back to any candidate (blocks can stack above one line, inline comments can't share one)
+      return allowReuse ? candidateIndices[0] : -1;
     }
 
     if (available.length === 1) { // if only one available
@@ -645,7 +1638,7 @@ function injectComments(cleanText, comments, includePrivate = false) {
       // Find previous non-blank nearest neighbor code line
       let prevIdx = -1;
       for (let j = idx - 1; j >= 0; j--) {
-        if (lines[j].trim()) {
+        if (isCodeLine(j)) {
           prevIdx = j;
           break;
         }
@@ -654,7 +1647,7 @@ function injectComments(cleanText, comments, includePrivate = false) {
       // Find next non-blank nearest neighbor code line
       let nextIdx = -1;
       for (let j = idx + 1; j < lines.length; j++) {
-        if (lines[j].trim()) {
+        if (isCodeLine(j)) {
           nextIdx = j;
           break;
         }
@@ -664,15 +1657,19 @@ function injectComments(cleanText, comments, includePrivate = false) {
       // Add 10 points for each matching context hash.
       // Higher score = better contextual fit.
       if (comment.prevHash && prevIdx >= 0) {
-        const prevHash = hashLine(lines[prevIdx], 0);
+        const prevHash = hashLine(codeLines[prevIdx], 0);
         if (prevHash === comment.prevHash) score += 10;
       }
 
       if (comment.nextHash && nextIdx >= 0) {
-        const nextHash = hashLine(lines[nextIdx], 0);
+        const nextHash = hashLine(codeLines[nextIdx], 0);
         if (nextHash === comment.nextHash) score += 10;
       }
 
+      // Being inside the same function/class outweighs both neighbors:
+      // a "}" or "return;" comment stays in its function even when functions are reordered
+      if (comment.symbolPath && lineSymbols && lineSymbols[idx] === comment.symbolPath) score += 30;
+
       return { idx, score };
     });
 
@@ -690,7 +1687,7 @@ function injectComments(cleanText, comments, includePrivate = false) {
   // Ensure that when you loop through comments, they’re in natural file order, not random JSON order.
   // .sort(...) orders the comment blocks from top to bottom according to where they originally appeared by line number in the file.
   // That way, when you inject them, they’re added in the same vertical order they were extracted.
-  const blockComments = commentsToInject.filter(c => c.type === "block").sort((a, b) => {
+  const blockComments = commentsToInject.filter(c => c.type === "block" && !c.anchorKind).sort((a, b) => {
     // Each block comment object has a block array. each el = 1 comment line of the block
     // a.block[0]?.originalLineIndex → accesses the first line of that block (top of the comment) and gets its original line number in the old file.
     // The ?. (optional chaining) avoids errors if block or [0] doesn’t exist (so it returns undefined instead of crashing).
@@ -701,9 +1698,21 @@ function injectComments(cleanText, comments, includePrivate = false) {
   });
   const inlineComments = commentsToInject.filter(c => c.type === "inline").sort((a, b) => a.originalLineIndex - b.originalLineIndex);
 
+  // File header / footer blocks don't need a matching code line - they go to the top or bottom of the file
+  const byFirstLine = (a, b) => (a.block?.[0]?.originalLineIndex || 0) - (b.block?.[0]?.originalLineIndex || 0);
+  const fileStartBlocks = commentsToInject.filter(c => c.type === "block" && c.anchorKind === "fileStart").sort(byFirstLine);
+  const fileEndBlocks = commentsToInject.filter(c => c.type === "block" && c.anchorKind === "fileEnd").sort(byFirstLine);
+
+  // The header goes above the first non-blank line, so blank lines that were above it stay above it
+  const firstNonBlankIndex = lines.findIndex(l => l.trim());
+  const fileStartIndex = firstNonBlankIndex >= 0 ? firstNonBlankIndex : lines.length;
+
   // Track which indices we've already used
   const usedIndices = new Set();
 
+  // Comments whose anchor hash matched no free line (handled by the fuzzy search after the exact passes)
+  const unplaced = [];
+
   // Build maps: Map() is a key-value store where keys can be any type.
   // key = line index of code
   // value = array of block comment objects that attach to that code line.
@@ -732,185 +1741,137 @@ function injectComments(cleanText, comments, includePrivate = false) {
       // Actually stores the comment object(s) in that array — meaning:
       // “When reinjecting, for this line index, insert this block comment above it.”
       blockMap.get(targetIndex).push(block);
+    } else {
+      // The code this block sat above is gone or was edited - try the fuzzy search below
+      unplaced.push(block);
     }
   }
 
   // Same logic as blockMap, but this one tracks inline comments.
   // Key = line index of code line, value = array of inline comments that go on that line.
+  // Each code line holds at most one shared and one private inline comment (extraction stores one per line per layer),
+  // so an inline comment takes its line for its layer: two identical code lines can't both claim one comment,
+  // and a duplicate anchor with no free line left is orphaned instead of overwriting the first.
   const inlineMap = new Map();
+  const usedInlineIndices = { shared: new Set(), private: new Set() };
   for (const inline of inlineComments) {
+    const usedForLayer = inline.isPrivate ? usedInlineIndices.private : usedInlineIndices.shared;
     const indices = lineHashToIndices.get(inline.anchor);
-    if (indices && indices.length > 0) {
-      const targetIndex = findBestMatch(inline, indices, usedIndices);
-      // DON'T mark as used for inline comments - multiple inlines can be on same line!
-      // usedIndices.add(targetIndex);
+    const targetIndex = indices && indices.length > 0 ? findBestMatch(inline, indices, usedForLayer, false) : -1;
 
-      if (!inlineMap.has(targetIndex)) inlineMap.set(targetIndex, []);
-      inlineMap.get(targetIndex).push(inline);
+    if (targetIndex < 0) {
+      unplaced.push(inline);
+      continue;
     }
+    usedForLayer.add(targetIndex);
+
+    if (!inlineMap.has(targetIndex)) inlineMap.set(targetIndex, []);
+    inlineMap.get(targetIndex).push(inline);
   }
 
-  // Rebuild the file line by line
-  // Iterate through every line of clean code
-  // i represents both position in original clean code and potential anchor target for comments.
-  for (let i = 0; i < lines.length; i++) {
-    // STEP 1: Insert any block comments anchored to this line
-    // blocks maps anchor index → block comment(s) that should appear above this code line.
-    const blocks = blockMap.get(i);
-    // Handle the case of multiple comment blocks anchored to the same code line (stacked).
-    if (blocks) {
-      for (const block of blocks) {
-        // Determine which version to inject: text_cleanMode (if different) or block
-        const hasTextCleanMode = block.text_cleanMode && Array.isArray(block.text_cleanMode);
-        const cleanModeTexts = hasTextCleanMode ? block.text_cleanMode.map(b => b.text).join('\n') : '';
-        const blockTexts = block.block ? block.block.map(b => b.text).join('\n') : '';
-        const blocksIdentical = hasTextCleanMode && block.block && cleanModeTexts === blockTexts;
-
-        let linesToInject;
-        if (hasTextCleanMode && !blocksIdentical) {
-          // Use text_cleanMode (newly typed version)
-          linesToInject = block.text_cleanMode;
-        } else if (block.block) {
-          // Use block (VCM version or identical)
-          linesToInject = block.block;
-        } else {
-          linesToInject = [];
-        }
+  // Fuzzy re-anchoring: the anchor line was edited (renamed variable, added parameter...) so its hash no longer matches
+  // Compare the stored anchorText with every free code line, and let matching prevHash/nextHash neighbors tip the balance
+  const neighborHash = (idx, step) => {
+    for (let j = idx + step; j >= 0 && j < lines.length; j += step) {
+      if (isCodeLine(j)) return hashLine(codeLines[j], 0);
+    }
+    return null;
+  };
 
-        // Inject all lines from the block (includes leading blanks, comments, and trailing blanks)
-        for (const lineObj of linesToInject) {
-          result.push(lineObj.text);
+  // Only lines within FUZZY_WINDOW of the old position are compared, nearest first, and the whole pass
+  // stops after FUZZY_MAX_COMPARISONS - a big rewrite orphans the leftovers instead of freezing the editor
+  let comparisonsLeft = FUZZY_MAX_COMPARISONS;
+
+  for (const comment of unplaced) {
+    const used = comment.type === "inline"
+      ? (comment.isPrivate ? usedInlineIndices.private : usedInlineIndices.shared)
+      : usedIndices;
+    const originalLine = comment.type === "inline" ? comment.originalLineIndex : comment.block?.[0]?.originalLineIndex;
+    const center = Math.min(Math.max(originalLine || 0, 0), Math.max(lines.length - 1, 0));
+
+    let best = null;
+    if (!report?.skipFuzzy && typeof comment.anchorText === 'string' && comment.anchorText.trim()) {
+      const candidates = [center];
+      for (let offset = 1; offset <= FUZZY_WINDOW; offset++) candidates.push(center - offset, center + offset);
+
+      for (const idx of candidates) {
+        if (idx < 0 || idx >= lines.length || !isCodeLine(idx) || used.has(idx)) continue;
+        if (comparisonsLeft <= 0) break;
+        comparisonsLeft--;
+
+        const similarity = lineSimilarity(comment.anchorText, codeLines[idx]);
+        if (similarity < FUZZY_MIN_SIMILARITY) continue;
+
+        let score = similarity;
+        if (comment.prevHash && neighborHash(idx, -1) === comment.prevHash) score += 0.1;
+        if (comment.nextHash && neighborHash(idx, 1) === comment.nextHash) score += 0.1;
+        if (comment.symbolPath && lineSymbols && lineSymbols[idx] === comment.symbolPath) score += 0.1;
+
+        // Equal scores → the line closest to where the comment used to be
+        const distance = Math.abs(idx - (originalLine || 0));
+        if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+          best = { idx, score, distance };
         }
       }
     }
 
-    // STEP 2: Add the code line itself
-    let line = lines[i];
-
-    // STEP 3: Check if this line has an inline comment
-    const inlines = inlineMap.get(i);
-    if (inlines && inlines.length > 0) {
-      // Should only be one inline comment per line (contains all combined comments)
-      const inline = inlines[0];
-      // Combine text_cleanMode (string) and text
-      let commentText = "";
-
-      // Only use text_cleanMode if it's different from text (avoid double injection)
-      const hasTextCleanMode = inline.text_cleanMode && typeof inline.text_cleanMode === 'string';
-      const textsIdentical = hasTextCleanMode && inline.text === inline.text_cleanMode;
-
-      if (hasTextCleanMode && !textsIdentical) {
-        commentText += inline.text_cleanMode;
-      }
+    const original = originalOf.get(comment);
+    if (!best || best.score < FUZZY_MIN_SCORE) {
+      if (report?.orphaned) report.orphaned.push(original);
+      continue;
+    }
 
-      // Add original text (only if no text_cleanMode or they're identical)
-      if (inline.text && (!hasTextCleanMode || textsIdentical)) {
-        commentText += inline.text;
-      }
+    const match = {
+      comment: original,
+      confidence: best.score >= FUZZY_CONFIDENT_SCORE ? "high" : "low",
+      anchorText: comment.anchorText,
+      matchedText: codeLines[best.idx].trimEnd(),
+      anchor: hashLine(codeLines[best.idx], 0),
+      prevHash: neighborHash(best.idx, -1),
+      nextHash: neighborHash(best.idx, 1),
+      symbolPath: lineSymbols?.[best.idx] || undefined,
+    };
 
-      if (commentText) {
-        line += commentText;
-      }
+    // Weak matches wait for the user: report them and leave the comment orphaned this time
+    if (match.confidence === "low" && !report?.acceptLowConfidence) {
+      if (report?.lowConfidence) report.lowConfidence.push(match);
+      if (report?.orphaned) report.orphaned.push(original);
+      continue;
     }
-    result.push(line);
+
+    used.add(best.idx);
+    const targetMap = comment.type === "inline" ? inlineMap : blockMap;
+    if (!targetMap.has(best.idx)) targetMap.set(best.idx, []);
+    targetMap.get(best.idx).push(comment);
+    if (report?.reanchored) report.reanchored.push(match);
   }
 
-  return result.join("\n");
+  return { lines, fileStartIndex, fileStartBlocks, blockMap, inlineMap, fileEndBlocks };
 }
 
 // Remove all comments from source code, leaving only code and blank lines
 // This creates the "clean" version for split view or toggle mode
 // Process:
-// 1. Filter out lines that are pure comments (start with #, //, etc)
+// 1. Filter out lines that are pure comments (start with #, //, etc, or sit inside a /* */ block)
 // 2. Strip inline comments from mixed code+comment lines
 // 3. Preserve blank lines to maintain code structure
 // 4. Handle strings properly - don't remove comment markers inside strings
 // 5. Language-aware: only remove markers appropriate for the file type
 // 6. Skip comments marked with alwaysShow flag (they appear in all modes)
 function stripComments(text, filePath, vcmComments = [], keepPrivate = false, isCleanMode = false) {
-  // Get comment markers for this file type from our centralized config
-  const commentMarkers = getCommentMarkersForFile(filePath);
-
-  // Build regex pattern for this file type
-  const markerPattern = commentMarkers.map(m => m.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
-  const lineStartPattern = new RegExp(`^(${markerPattern})`);
-
-  // Helper: Find the position of an inline comment, accounting for strings
-  const findCommentStart = (line) => {
-    let inString = false;
-    let stringChar = null;
-    let escaped = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      const nextChar = line[i + 1];
-
-      // Handle escape sequences
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-      if (char === '\\') {
-        escaped = true;
-        continue;
-      }
-
-      // Track string state (single, double, or backtick quotes)
-      if (!inString && (char === '"' || char === "'" || char === '`')) {
-        inString = true;
-        stringChar = char;
-        continue;
-      }
-      if (inString && char === stringChar) {
-        inString = false;
-        stringChar = null;
-        continue;
-      }
-
-      // Only look for comment markers outside of strings
-      if (!inString) {
-        // Check each marker for this language
-        for (const marker of commentMarkers) {
-          if (marker.length === 2) {
-            // Two-character markers like //, --, etc.
-            if (char === marker[0] && nextChar === marker[1]) {
-              // Make sure there's whitespace before it (not part of code)
-              if (i > 0 && line[i - 1].match(/\s/)) {
-                return i - 1; // Include the whitespace
-              }
-            }
-          } else {
-            // Single-character markers like #, %, ;
-            if (char === marker) {
-              // Make sure there's whitespace before it
-              if (i > 0 && line[i - 1].match(/\s/)) {
-                return i - 1;
-              }
-            }
-          }
-        }
-      }
-    }
-
-    return -1; // No comment found
-  };
-
-  // Build sets of comment anchor hashes that should be kept
-  const alwaysShowAnchors = new Set();
-  const privateAnchors = new Set();
-  for (const comment of vcmComments) {
-    if (comment.alwaysShow) {
-      alwaysShowAnchors.add(comment.anchor);
-    }
-    if (comment.isPrivate && keepPrivate) {
-      privateAnchors.add(comment.anchor);
-    }
-  }
+  // Classify every line with the same scanner extractComments uses
+  const scanned = scanCommentLines(text, filePath);
 
   // Extract current comments to identify blank lines within comment blocks
   // Pass vcmComments and mode so blank line extraction works correctly
   const currentComments = extractComments(text, filePath, vcmComments, isCleanMode);
 
+  // Find which stored entry each comment is, so only that comment keeps its alwaysShow / private flag
+  // (not every comment that happens to sit on an identical line)
+  const storedFor = matchStoredComments(currentComments, vcmComments);
+  const isAlwaysShow = (current) => !!storedFor.get(current)?.alwaysShow;
+  const isKeptPrivate = (current) => keepPrivate && !!storedFor.get(current)?.isPrivate;
+
   // Build sets for tracking lines
   const allCommentBlockLines = new Set();
   const alwaysShowLines = new Set();
@@ -927,25 +1888,25 @@ function stripComments(text, filePath, vcmComments = [], keepPrivate = false, is
       }
 
       // If this block is alwaysShow, also add to alwaysShow set
-      if (alwaysShowAnchors.has(current.anchor)) {
+      if (isAlwaysShow(current)) {
         for (const blockLine of current.block) {
           alwaysShowLines.add(blockLine.originalLineIndex);
         }
       }
 
       // If this block is private and we're keeping private, add to private set
-      if (privateAnchors.has(current.anchor)) {
+      if (isKeptPrivate(current)) {
         for (const blockLine of current.block) {
           privateLines.add(blockLine.originalLineIndex);
         }
       }
     } else if (current.type === "inline") {
-      if (alwaysShowAnchors.has(current.anchor)) {
+      if (isAlwaysShow(current)) {
         // For alwaysShow inline comments, store the line index and text
         alwaysShowLines.add(current.originalLineIndex);
         alwaysShowInlineComments.set(current.originalLineIndex, current.text || "");
       }
-      if (privateAnchors.has(current.anchor)) {
+      if (isKeptPrivate(current)) {
         // For private inline comments (if keeping), store the line index and text
         privateLines.add(current.originalLineIndex);
         privateInlineComments.set(current.originalLineIndex, current.text || "");
@@ -978,8 +1939,8 @@ function stripComments(text, filePath, vcmComments = [], keepPrivate = false, is
       continue;
     }
 
-    // Filter out pure comment lines (unless they're alwaysShow or private)
-    if (lineStartPattern.test(trimmed)) {
+    // Filter out pure comment lines, including every line of a multi-line block comment (unless they're alwaysShow or private)
+    if (scanned[lineIndex].isComment) {
       continue; // Skip this line
     }
 
@@ -989,7 +1950,7 @@ function stripComments(text, filePath, vcmComments = [], keepPrivate = false, is
       filteredLines.push(line);
     } else {
       // Remove inline comments: everything after comment marker (if not in string)
-      const commentPos = findCommentStart(line);
+      const commentPos = scanned[lineIndex].commentStart;
       if (commentPos >= 0) {
         filteredLines.push(line.substring(0, commentPos).trimEnd());
       } else {
@@ -1001,28 +1962,715 @@ function stripComments(text, filePath, vcmComments = [], keepPrivate = false, is
   return filteredLines.join("\n");
 }
 
+// -----------------------------------------------------------------------------
+// Anchor Migration (files rewritten outside the editor: checkout, pull, rebase)
+// -----------------------------------------------------------------------------
+// Map every old line index to its new index using a unified diff (git diff output)
+// Lines outside the hunks shift by the lines added/removed above them.
+// Inside a hunk, a run of removed lines followed by added lines is the same lines edited in place, paired in order;
+// removed lines with no partner were deleted and map to -1.
+function buildLineMap(diffText, oldLineCount) {
+  const map = new Array(oldLineCount).fill(-1);
+  let oldIdx = 0;
+  let newIdx = 0;
+
+  // Unchanged lines between hunks
+  const copyUntil = (oldTarget) => {
+    while (oldIdx < oldTarget && oldIdx < oldLineCount) {
+      map[oldIdx++] = newIdx++;
+    }
+  };
+
+  const diffLines = diffText.split("\n");
+  for (let i = 0; i < diffLines.length; i++) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(diffLines[i]);
+    if (!header) continue;
+
+    // Hunk starts are 1-based, except an empty side ("-4,0") which names the line it comes after
+    copyUntil(header[2] === "0" ? Number(header[1]) : Number(header[1]) - 1);
+
+    let removed = [];
+    let added = [];
+    const pairEdits = () => {
+      removed.forEach((oldLine, k) => {
+        map[oldLine] = k < added.length ? added[k] : -1;
+      });
+      removed = [];
+      added = [];
+    };
+
+    // Walk the hunk body using its line counts (a removed "-- comment" line must not look like a file header)
+    let oldLeft = header[2] === undefined ? 1 : Number(header[2]);
+    let newLeft = header[4] === undefined ? 1 : Number(header[4]);
+    while ((oldLeft > 0 || newLeft > 0) && i + 1 < diffLines.length) {
+      const bodyLine = diffLines[++i];
+      if (bodyLine[0] === "-") {
+        removed.push(oldIdx++);
+        oldLeft--;
+      } else if (bodyLine[0] === "+") {
+        added.push(newIdx++);
+        newLeft--;
+      } else if (bodyLine[0] !== "\\") {
+        // Context line (" " prefix, or an empty line when trailing spaces were trimmed)
+        pairEdits();
+        map[oldIdx++] = newIdx++;
+        oldLeft--;
+        newLeft--;
+      }
+      // "\ No newline at end of file" carries no line
+    }
+    pairEdits();
+  }
+
+  copyUntil(oldLineCount);
+  return map;
+}
+
+// Move stored comment anchors from oldText to newText
+// lineMap → old line index → new line index (see buildLineMap)
+// Each comment is found on its old line (anchor hash + prevHash/nextHash context), followed through the diff,
+// and re-anchored to whatever is on that line now. Comments whose line was deleted are left as they are -
+// injectComments() will try a fuzzy match and report them as orphaned if that fails.
+// Returns { comments, changed } - a new array, and how many entries were updated
+function migrateCommentAnchors(oldText, newText, lineMap, comments, filePath) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+  const oldScanned = scanCommentLines(oldText, filePath);
+  const newScanned = scanCommentLines(newText, filePath);
+
+  const isCode = (lines, scanned, i) => lines[i].trim() && !scanned[i].isComment;
+  const codeHash = (lines, scanned, i) => hashLine(codePortion(lines[i], scanned[i]), 0);
+  const neighborHash = (lines, scanned, idx, step) => {
+    for (let j = idx + step; j >= 0 && j < lines.length; j += step) {
+      if (isCode(lines, scanned, j)) return codeHash(lines, scanned, j);
+    }
+    return null;
+  };
+
+  // hash → old line indices (duplicates allowed, same as injectComments)
+  const oldHashToIndices = new Map();
+  for (let i = 0; i < oldLines.length; i++) {
+    if (!isCode(oldLines, oldScanned, i)) continue;
+    const hash = codeHash(oldLines, oldScanned, i);
+    if (!oldHashToIndices.has(hash)) oldHashToIndices.set(hash, []);
+    oldHashToIndices.get(hash).push(i);
+  }
+
+  let changed = 0;
+  const migrated = comments.map(comment => {
+    // File headers and footers follow the edges of the file, not a line
+    if (comment.anchorKind) return comment;
+
+    const candidates = oldHashToIndices.get(comment.anchor);
+    if (!candidates) return comment; // Already stale before this change - nothing to follow
+
+    // Best old line: matching neighbors first, then closest to where the comment was last seen
+    const lastSeen = comment.type === "inline" ? comment.originalLineIndex : comment.block?.[0]?.originalLineIndex;
+    let oldIdx = -1;
+    let bestScore = -1;
+    let bestDistance = Infinity;
+    for (const idx of candidates) {
+      let score = 0;
+      if (comment.prevHash && neighborHash(oldLines, oldScanned, idx, -1) === comment.prevHash) score += 10;
+      if (comment.nextHash && neighborHash(oldLines, oldScanned, idx, 1) === comment.nextHash) score += 10;
+      const distance = Math.abs(idx - (lastSeen || 0));
+      if (score > bestScore || (score === bestScore && distance < bestDistance)) {
+        oldIdx = idx;
+        bestScore = score;
+        bestDistance = distance;
+      }
+    }
+
+    const newIdx = lineMap[oldIdx];
+    if (newIdx === undefined || newIdx < 0 || newIdx >= newLines.length || !isCode(newLines, newScanned, newIdx)) {
+      return comment; // The line was deleted
+    }
+
+    const anchor = codeHash(newLines, newScanned, newIdx);
+    const prevHash = neighborHash(newLines, newScanned, newIdx, -1);
+    const nextHash = neighborHash(newLines, newScanned, newIdx, 1);
+    const delta = newIdx - oldIdx;
+    if (anchor === comment.anchor && prevHash === comment.prevHash && nextHash === comment.nextHash && delta === 0) {
+      return comment;
+    }
+
+    // Shift stored line numbers by the same amount the anchor line moved
+    const shift = (lineObjs) => (Array.isArray(lineObjs)
+      ? lineObjs.map(l => (typeof l.originalLineIndex === "number" ? { ...l, originalLineIndex: l.originalLineIndex + delta } : l))
+      : lineObjs);
+
+    changed++;
+    const updated = {
+      ...comment,
+      anchor,
+      anchorText: codePortion(newLines[newIdx], newScanned[newIdx]).trimEnd(),
+      prevHash,
+      nextHash,
+    };
+    if (comment.type === "inline") {
+      if (typeof comment.originalLineIndex === "number") updated.originalLineIndex = comment.originalLineIndex + delta;
+    } else {
+      updated.block = shift(comment.block);
+      if (Array.isArray(comment.text_cleanMode)) updated.text_cleanMode = shift(comment.text_cleanMode);
+    }
+    return updated;
+  });
+
+  return { comments: migrated, changed };
+}
+
+// -----------------------------------------------------------------------------
+// Rename Detection (renames made outside VS Code arrive as a delete and a create)
+// -----------------------------------------------------------------------------
+// A file renamed to a new name must still hold at least this share of its anchored comments' code
+const RENAME_MIN_ANCHOR_OVERLAP = 0.5;
+
+// Share of the comments' anchors found among the code lines of text (0 when none is anchored to a line)
+function anchorOverlap(comments, text, filePath) {
+  const anchored = comments.filter(c => !c.anchorKind);
+  if (anchored.length === 0) return 0;
+
+  const lines = text.split("\n");
+  const scanned = scanCommentLines(text, filePath);
+  const codeHashes = new Set(lines.map((line, i) => hashLine(codePortion(line, scanned[i]), 0)));
+  return anchored.filter(c => codeHashes.has(c.anchor)).length / anchored.length;
+}
+
+// The deleted path a created one came from, or null
+// candidates: [{ path, overlap, ... }] for the deleted paths of the same kind (overlap from anchorOverlap, 0 for folders)
+// The same name is a move and enough shared anchors a rename; the same folder only breaks ties -
+// a new file next to a deleted one is not enough on its own, its comments would land on unrelated code
+function pickRenameSource(createdPath, candidates) {
+  const baseName = (p) => p.split("/").pop();
+  const parentPath = (p) => p.split("/").slice(0, -1).join("/");
+
+  let best = null;
+  for (const candidate of candidates) {
+    const sameName = baseName(candidate.path) === baseName(createdPath);
+    if (!sameName && candidate.overlap < RENAME_MIN_ANCHOR_OVERLAP) continue;
+
+    let score = candidate.overlap;
+    if (sameName) score += 2;
+    if (parentPath(candidate.path) === parentPath(createdPath)) score += 1;
+    if (!best || score > best.score) best = { candidate, score };
+  }
+  return best ? best.candidate : null;
+}
+
+// -----------------------------------------------------------------------------
+// Mirror File Schema (.vcm.json versions and migrations)
+// -----------------------------------------------------------------------------
+// Bump VCM_SCHEMA_VERSION whenever the stored shape changes, and add the step that upgrades the previous version.
+// Files written before versioning have no "version" field and count as version 1.
+const VCM_SCHEMA_VERSION = 3;
+
+// Turn any stored form of a block's lines into [{ text, originalLineIndex? }]
+function toBlockLines(value) {
+  if (typeof value === "string") return value.split("\n").map(text => ({ text }));
+  if (!Array.isArray(value)) return [];
+  return value
+    .map(line => (typeof line === "string" ? { text: line } : line))
+    .filter(line => line && typeof line.text === "string");
+}
+
+// VCM_SCHEMA_MIGRATIONS[n] upgrades the comments of a version n file to version n + 1
+const VCM_SCHEMA_MIGRATIONS = {
+  // 1 -> 2: one shape per comment type
+  // text_cleanMode was saved as a string, a line array, "" or null depending on the code path that wrote it.
+  // Inline comments now keep a string, block comments a line array, and "nothing typed in clean mode" is always null.
+  // Entries with no type are typed by their content, and stray isPrivate flags are dropped (the layer decides that).
+  1: (comments) => comments
+    .filter(comment => comment && typeof comment === "object")
+    .map(comment => {
+      const { isPrivate, ...upgraded } = comment;
+      if (upgraded.type !== "inline" && upgraded.type !== "block") {
+        upgraded.type = upgraded.block !== undefined ? "block" : "inline";
+      }
+
+      if (upgraded.type === "inline") {
+        const cleanMode = Array.isArray(upgraded.text_cleanMode)
+          ? toBlockLines(upgraded.text_cleanMode).map(l => l.text).join("")
+          : upgraded.text_cleanMode;
+        upgraded.text_cleanMode = typeof cleanMode === "string" && cleanMode ? cleanMode : null;
+        if (typeof upgraded.text !== "string") upgraded.text = "";
+      } else {
+        if (upgraded.block === undefined && typeof upgraded.text === "string") {
+          upgraded.block = upgraded.text;
+          delete upgraded.text;
+        }
+        upgraded.block = toBlockLines(upgraded.block);
+        const cleanMode = toBlockLines(upgraded.text_cleanMode);
+        upgraded.text_cleanMode = cleanMode.length > 0 ? cleanMode : null;
+      }
+      return upgraded;
+    }),
+
+  // 2 -> 3: every comment has an id (see matchStoredComments)
+  // Derived from the entry and its position, so reading the same old file twice gives the same ids until it is rewritten.
+  2: (comments) => comments.map((comment, index) => (comment.id ? comment : {
+    ...comment,
+    id: crypto.createHash("sha1").update(`${index}:${JSON.stringify(comment)}`).digest("hex").slice(0, 16),
+  })),
+};
+
+// Schema version of a parsed .vcm.json
+function vcmSchemaVersion(data) {
+  return Number.isInteger(data?.version) && data.version > 0 ? data.version : 1;
+}
+
+// Bring the comments of a parsed .vcm.json up to VCM_SCHEMA_VERSION
+// Returns null for files written by a newer version of the extension - their shape is unknown here,
+// so they must be neither read as if they were current nor rewritten.
+function migrateVcmComments(data) {
+  let version = vcmSchemaVersion(data);
+  if (version > VCM_SCHEMA_VERSION) return null;
+
+  let comments = Array.isArray(data?.comments) ? data.comments : [];
+  for (; version < VCM_SCHEMA_VERSION; version++) {
+    comments = VCM_SCHEMA_MIGRATIONS[version](comments);
+  }
+  return comments;
+}
+
+// Glob (files.exclude syntax: *, **, ?, [abc], {a,b}) -> RegExp matching a "/"-separated path inside a workspace folder
+// A glob without a "/" matches a file or folder name at any depth, like files.exclude does
+function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of folders (including none), a trailing "**" anything below
+      source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else if (ch === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end < 0) {
+        source += "\\[";
+        continue;
+      }
+      source += "[" + glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]";
+      i = end;
+    } else if (ch === "{") {
+      braces++;
+      source += "(?:";
+    } else if (ch === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (ch === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += ch.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  const anywhere = !glob.replace(/\/$/, "").includes("/");
+  // A match on a folder covers everything inside it
+  return new RegExp(`^${anywhere ? "(?:.*/)?" : ""}${source.replace(/\/$/, "")}(?:/.*)?$`);
+}
+
+// -----------------------------------------------------------------------------
+// Comment Storage
+// -----------------------------------------------------------------------------
+// Where one layer ("shared" or "private") of one workspace folder keeps its mirrors.
+// baseDir is laid out like a .vcm directory, wherever it is:
+//   <baseDir>/<layer>/<path>.vcm.json    → the mirrors (<path> is the file's path inside its workspace folder)
+//   <baseDir>/.backup/<layer>/<path>/    → their backups
+//   <baseDir>/.trash/<id>/<layer>/       → mirrors of deleted files
+// The backends (the workspace's .vcm, the extension's global storage, any directory) only differ in baseDir.
+
+// Write to <file>.<random>.tmp next to the target, then rename it over the target
+// (a crash or a full disk never leaves half a file behind)
+async function writeFileAtomic(fileUri, content) {
+  const tempName = `${fileUri.path.split("/").pop()}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  const tempUri = vscode.Uri.joinPath(fileUri, "..", tempName);
+  try {
+    await vscode.workspace.fs.writeFile(tempUri, content);
+    await vscode.workspace.fs.rename(tempUri, fileUri, { overwrite: true });
+  } catch (err) {
+    await vscode.workspace.fs.delete(tempUri).catch(() => {});
+    throw err;
+  }
+}
+
+class VcmStorage {
+  constructor(baseDir, layer) {
+    this.baseDir = baseDir;
+    this.layer = layer;
+    this.rootUri = vscode.Uri.joinPath(baseDir, layer);
+  }
+
+  // Mirror of a path (suffix "" gives the folder holding the mirrors of a folder's files)
+  uri(folderPath, suffix = ".vcm.json") {
+    return vscode.Uri.joinPath(this.rootUri, folderPath + suffix);
+  }
+
+  // Raw content of a mirror - throws when there is none
+  read(folderPath) {
+    return vscode.workspace.fs.readFile(this.uri(folderPath));
+  }
+
+  // Replace a mirror atomically, creating its folders as needed
+  async write(folderPath, content) {
+    const fileUri = this.uri(folderPath);
+    await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(fileUri, "..")).catch(() => {});
+    await writeFileAtomic(fileUri, content);
+  }
+
+  // Delete a mirror - a missing one is ignored
+  async delete(folderPath) {
+    await vscode.workspace.fs.delete(this.uri(folderPath)).catch(() => {});
+  }
+
+  // What a path has here: "file" (<path>.vcm.json), "folder" (<path>/ with mirrors inside) or null
+  async kind(folderPath) {
+    try {
+      await vscode.workspace.fs.stat(this.uri(folderPath));
+      return "file";
+    } catch {
+      // Not a file mirror
+    }
+    try {
+      const stat = await vscode.workspace.fs.stat(this.uri(folderPath, ""));
+      return stat.type & vscode.FileType.Directory ? "folder" : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Encrypted private mirrors (the encryptPrivateComments setting)
+// Only the comments are encrypted - version and file stay readable, so migrations and renames work without the key:
+//   { version, file, lastModified, encrypted: { cipher: "aes-256-gcm", kdf: "scrypt", salt, iv, tag, data } }
+// salt, iv, tag and data are base64. The key is derived from the user's passphrase and the salt.
+
+// 32-byte key for a passphrase and a base64 salt
+function deriveVcmKey(passphrase, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(salt, "base64"), 32, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+function encryptVcmComments(comments, key, salt) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(comments), "utf8"), cipher.final()]);
+  return {
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    salt,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+// Throws when the key is wrong or the data was changed
+function decryptVcmComments(encrypted, key) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(encrypted.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+  const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, "base64")), decipher.final()]);
+  return JSON.parse(data.toString("utf8"));
+}
+
 // -----------------------------------------------------------------------------
 // Extension Activate
 // -----------------------------------------------------------------------------
 
-async function activate(context) {
-  // Load user configuration
-  const config = vscode.workspace.getConfiguration("vcm");
-  const autoSplit = config.get("autoSplitView", true);  // Auto-split vs same pane
-  const liveSync = config.get("liveSync", false);       // Auto-save .vcm on edit
-  const debugAnchorText = config.get("debugAnchorText", true); // Store anchor line text for debugging
+async function activate(context) {
+  // Load user configuration
+  const config = vscode.workspace.getConfiguration("vcm");
+  const autoSplit = config.get("autoSplitView", true);  // Auto-split vs same pane
+  const liveSync = config.get("liveSync", false);       // Auto-save .vcm on edit
+
+  // By default each workspace folder has its own .vcm directory at its root
+  // This stores .vcm.json files that mirror the comment structure:
+  //   .vcm/shared/<path>.vcm.json    → comments for everyone
+  //   .vcm/private/<path>.vcm.json   → private comments
+  //   .vcm/.trash/                   → mirrors of deleted files
+  //   .vcm/.backup/                  → earlier versions of mirrors
+  // Files are known by their workspace path, the string asRelativePath returns: "src/a.js", or
+  // "api/src/a.js" (folder name first) in a multi-root workspace. <path> is the part inside the folder.
+  // Each layer can be kept elsewhere instead (see layerStorage below).
+  const vcmLayers = ["shared", "private"];
+
+  // Workspace path -> the folder it belongs to and its path inside that folder
+  // A file outside every folder keeps using the first folder's .vcm
+  function resolveWorkspacePath(relativePath) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length > 1) {
+      const slash = relativePath.indexOf("/");
+      const folder = slash > 0 && folders.find(f => f.name === relativePath.slice(0, slash));
+      if (folder) return { folderUri: folder.uri, path: relativePath.slice(slash + 1) };
+    }
+    return { folderUri: folders[0]?.uri || vscode.Uri.file(process.cwd()), path: relativePath };
+  }
+
+  // Path inside a workspace folder -> workspace path
+  const workspacePathOf = (folderUri, folderPath) => vscode.workspace.asRelativePath(vscode.Uri.joinPath(folderUri, folderPath));
+
+  // ---------------------------------------------------------------------------
+  // Storage backends (where each layer keeps its mirrors)
+  // ---------------------------------------------------------------------------
+  // The sharedStorage / privateStorage settings pick a backend per layer:
+  //   "workspace" → <folder>/.vcm (default - travels with the repository)
+  //   "global"    → the extension's global storage, under a key for the repository
+  //   "directory" → <sharedStorageDirectory | privateStorageDirectory>/<key>
+  // The key is the repository's remote when it has one (so every clone of it finds the same comments),
+  // otherwise the folder's path. All reads and writes of mirrors go through the VcmStorage this returns.
+  // "<layer>|<folder uri>" → { folderUri, ready: Promise<VcmStorage>, storage, watcher } (storage and watcher once resolved)
+  const storageCache = new Map();
+  const storageWarnings = new Set();
+
+  function storageSetting(layer) {
+    const config = vscode.workspace.getConfiguration("vcm-view-comments-mirror");
+    return { backend: config.get(`${layer}Storage`, "workspace"), directory: (config.get(`${layer}StorageDirectory`, "") || "").trim() };
+  }
+
+  // Git API once it has looked for the repositories, so a key doesn't change once they are found
+  // Waited for once (at most 5 s after the first lookup) - later lookups never wait again
+  let gitApiWithRepositories;
+  function gitRepositoriesFound() {
+    if (!gitApiWithRepositories) gitApiWithRepositories = getGitApi().then(gitApi => {
+      if (!gitApi || gitApi.state !== "uninitialized") return gitApi;
+      return new Promise(resolve => {
+        const subscription = gitApi.onDidChangeState(() => done());
+        const timeout = setTimeout(() => done(), 5000);
+        function done() {
+          clearTimeout(timeout);
+          subscription.dispose();
+          resolve(gitApi);
+        }
+      });
+    });
+    return gitApiWithRepositories;
+  }
+
+  // "github.com-acme-api-3f9c2a1b0d4e" - readable, and unique per repository (and subfolder of it)
+  async function storageKey(folderUri) {
+    const gitApi = await gitRepositoriesFound();
+    let source = folderUri.fsPath;
+    const repository = gitApi && gitApi.getRepository(folderUri);
+    const remotes = repository ? repository.state.remotes : [];
+    const remote = remotes.find(r => r.name === "origin") || remotes[0];
+    const remoteUrl = remote && (remote.fetchUrl || remote.pushUrl);
+    if (remoteUrl) {
+      // git@host:owner/repo.git, ssh://git@host/owner/repo and https://host/owner/repo.git all become host/owner/repo
+      const normalized = remoteUrl
+        .replace(/^[a-z+]+:\/\/(?:[^@/]*@)?/i, "")
+        .replace(/^[^@/]*@([^:/]+):/, "$1/")
+        .replace(/\.git\/?$/, "");
+      const subPath = path.relative(repository.rootUri.fsPath, folderUri.fsPath).split(path.sep).join("/");
+      source = subPath ? `${normalized}/${subPath}` : normalized;
+    }
+
+    const label = source.split(/[\\/:]+/).filter(Boolean).slice(-3).join("-").replace(/[^\w.-]+/g, "-");
+    return `${label}-${crypto.createHash("sha1").update(source).digest("hex").slice(0, 12)}`;
+  }
+
+  async function resolveStorageBaseDir(layer, folderUri) {
+    const { backend, directory } = storageSetting(layer);
+    if (backend === "global") {
+      return vscode.Uri.joinPath(context.globalStorageUri, await storageKey(folderUri));
+    }
+    if (backend === "directory") {
+      if (path.isAbsolute(directory)) {
+        return vscode.Uri.joinPath(vscode.Uri.file(directory), await storageKey(folderUri));
+      }
+      if (!storageWarnings.has(layer)) {
+        storageWarnings.add(layer);
+        vscode.window.showWarningMessage(`VCM: vcm-view-comments-mirror.${layer}StorageDirectory must be an absolute path - ${layer} comments stay in .vcm until it is set.`);
+      }
+    }
+    return vscode.Uri.joinPath(folderUri, ".vcm");
+  }
+
+  // Storage of a layer for a workspace folder
+  function layerStorage(layer, folderUri) {
+    const cacheKey = `${layer}|${folderUri.toString()}`;
+    if (!storageCache.has(cacheKey)) {
+      const entry = { folderUri, storage: null, watcher: null };
+      entry.ready = resolveStorageBaseDir(layer, folderUri).then(baseDir => {
+        // Mirrors outside the workspace aren't seen by the workspace watchers - watch them for the Orphaned Comments view
+        // (not when the cache was cleared meanwhile - nothing would dispose the watcher)
+        if (!vscode.workspace.getWorkspaceFolder(baseDir) && storageCache.get(cacheKey) === entry) {
+          entry.watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(baseDir, "**/*.vcm.json"));
+          const refresh = () => orphanedProvider.refresh();
+          entry.watcher.onDidCreate(refresh);
+          entry.watcher.onDidChange(refresh);
+          entry.watcher.onDidDelete(refresh);
+        }
+        entry.storage = new VcmStorage(baseDir, layer);
+        return entry.storage;
+      });
+      storageCache.set(cacheKey, entry);
+    }
+    return storageCache.get(cacheKey).ready;
+  }
+
+  function clearStorageCache() {
+    storageCache.forEach(entry => entry.watcher?.dispose());
+    storageCache.clear();
+  }
+  context.subscriptions.push({ dispose: clearStorageCache });
+
+  // Whether a workspace path's storages are already known - hover and cursor handlers skip a file until they are,
+  // instead of waiting for git to find its repository (global and directory backends are keyed by the remote)
+  function storagesResolved(relativePath) {
+    const { folderUri } = resolveWorkspacePath(relativePath);
+    const entries = vcmLayers.map(layer => storageCache.get(`${layer}|${folderUri.toString()}`));
+    if (entries.every(entry => entry?.storage)) return true;
+    vcmLayers.forEach(layer => layerStorage(layer, folderUri).catch(() => {}));
+    return false;
+  }
+
+  // Storage holding a workspace path's mirror in a layer, and the path inside it
+  async function storageOf(layer, relativePath) {
+    const { folderUri, path: folderPath } = resolveWorkspacePath(relativePath);
+    return { storage: await layerStorage(layer, folderUri), folderPath };
+  }
+
+  // Where a workspace path is mirrored in a layer (suffix "" gives the folder holding a folder's mirrors)
+  async function mirrorUri(layer, relativePath, suffix = ".vcm.json") {
+    const { storage, folderPath } = await storageOf(layer, relativePath);
+    return storage.uri(folderPath, suffix);
+  }
+
+  // Every storage in use: [{ folderUri, storage }] for each workspace folder and layer
+  async function allStorages() {
+    const folderUris = vscode.workspace.workspaceFolders?.length
+      ? vscode.workspace.workspaceFolders.map(folder => folder.uri)
+      : [vscode.Uri.file(process.cwd())];
+    const storages = [];
+    for (const folderUri of folderUris) {
+      for (const layer of vcmLayers) {
+        storages.push({ folderUri, storage: await layerStorage(layer, folderUri) });
+      }
+    }
+    return storages;
+  }
+
+  // Everything one layer keeps in a storage: its mirrors, their backups and its part of every trash archive
+  const layerBackupUri = (storage) => vscode.Uri.joinPath(storage.baseDir, ".backup", storage.layer);
+  const trashUri = (storage) => vscode.Uri.joinPath(storage.baseDir, ".trash");
+
+  async function layerHasStoredFiles(storage) {
+    if ((await storage.kind("")) === "folder") return true;
+    for (const uri of [layerBackupUri(storage), trashUri(storage)]) {
+      if ((await vscode.workspace.fs.readDirectory(uri).catch(() => [])).length > 0) return true;
+    }
+    return false;
+  }
+
+  // Copy a folder into another one, keeping whatever the target already has, then delete the source
+  async function mergeFolderInto(fromUri, toUri) {
+    await vscode.workspace.fs.createDirectory(toUri).catch(() => {});
+    for (const [name, type] of await vscode.workspace.fs.readDirectory(fromUri)) {
+      const fromChild = vscode.Uri.joinPath(fromUri, name);
+      const toChild = vscode.Uri.joinPath(toUri, name);
+      if (type & vscode.FileType.Directory) {
+        await mergeFolderInto(fromChild, toChild);
+      } else if (!(await vscode.workspace.fs.stat(toChild).then(() => true, () => false))) {
+        await vscode.workspace.fs.copy(fromChild, toChild, { overwrite: false });
+      }
+    }
+    await vscode.workspace.fs.delete(fromUri, { recursive: true });
+  }
+
+  // Move a layer's mirrors, backups and trash to another storage (the other layer's files stay where they are)
+  async function moveLayerStorage(from, to) {
+    await vscode.workspace.fs.createDirectory(to.baseDir).catch(() => {});
+    if ((await from.kind("")) === "folder") {
+      await vscode.workspace.fs.copy(from.rootUri, to.rootUri, { overwrite: false });
+      await vscode.workspace.fs.delete(from.rootUri, { recursive: true });
+    }
+
+    const backupUri = layerBackupUri(from);
+    if ((await vscode.workspace.fs.readDirectory(backupUri).catch(() => [])).length > 0) {
+      await mergeFolderInto(backupUri, layerBackupUri(to));
+    }
+
+    // Each archive keeps its id and deleted.json in both places, like layers stored apart always do (see archiveMirrors)
+    for (const [id, type] of await vscode.workspace.fs.readDirectory(trashUri(from)).catch(() => [])) {
+      if (!(type & vscode.FileType.Directory)) continue;
+      const fromArchive = vscode.Uri.joinPath(trashUri(from), id);
+      const toArchive = vscode.Uri.joinPath(trashUri(to), id);
+      const entries = await vscode.workspace.fs.readDirectory(fromArchive);
+      if (!entries.some(([name]) => name === from.layer)) continue;
+
+      await mergeFolderInto(vscode.Uri.joinPath(fromArchive, from.layer), vscode.Uri.joinPath(toArchive, to.layer));
+      await vscode.workspace.fs.copy(vscode.Uri.joinPath(fromArchive, "deleted.json"), vscode.Uri.joinPath(toArchive, "deleted.json"), { overwrite: false }).catch(() => {});
+      if (!entries.some(([name]) => vcmLayers.includes(name) && name !== from.layer)) {
+        await vscode.workspace.fs.delete(fromArchive, { recursive: true });
+      }
+    }
+  }
+
+  // Look every storage up now, so the wait for git's repositories is over before the first file needs one
+  allStorages().catch(() => {});
 
-  // Create .vcm directory in workspace root
-  // This stores .vcm.json files that mirror the comment structure
-  const vcmBaseDir = vscode.Uri.joinPath(
-    vscode.workspace.workspaceFolders?.[0]?.uri || vscode.Uri.file(process.cwd()),
-    ".vcm"
+  // Changing a backend leaves the comments where they were - offer to move them to the new location
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration(async (e) => {
+      const changedLayers = vcmLayers.filter(layer =>
+        e.affectsConfiguration(`vcm-view-comments-mirror.${layer}Storage`) ||
+        e.affectsConfiguration(`vcm-view-comments-mirror.${layer}StorageDirectory`));
+      if (changedLayers.length === 0) return;
+
+      // Only storages looked up before the change still know where they were - the setting already has its new value
+      const previous = new Map();
+      for (const [cacheKey, entry] of [...storageCache]) {
+        previous.set(cacheKey, await entry.ready.catch(() => null));
+      }
+      clearStorageCache();
+      changedLayers.forEach(layer => storageWarnings.delete(layer));
+      const current = await allStorages();
+      orphanedProvider.refresh();
+
+      for (const { folderUri, storage: to } of current) {
+        const from = previous.get(`${to.layer}|${folderUri.toString()}`);
+        if (!from || !changedLayers.includes(to.layer) || from.rootUri.toString() === to.rootUri.toString()) continue;
+        if (!(await layerHasStoredFiles(from))) continue; // Nothing stored there yet
+
+        const choice = await vscode.window.showInformationMessage(
+          `VCM: Move the existing ${to.layer} comments of ${path.basename(folderUri.fsPath)} to the new storage location?`,
+          "Move",
+          "Leave Them"
+        );
+        if (choice !== "Move") continue;
+        try {
+          await moveLayerStorage(from, to);
+          vscode.window.showInformationMessage(`VCM: Moved the ${to.layer} comments to ${to.baseDir.fsPath}`);
+        } catch (err) {
+          vscode.window.showErrorMessage(`VCM: Could not move the ${to.layer} comments (the new location may already hold some): ${err.message}`);
+        }
+      }
+    })
   );
-  const vcmDir = vscode.Uri.joinPath(vcmBaseDir, "shared");
-  const vcmPrivateDir = vscode.Uri.joinPath(vcmBaseDir, "private");
 
   // Don't auto-create directories - they'll be created when first needed
 
+  // Resolve comment syntax from each document's language mode (see getCommentSyntaxForFile)
+  loadCommentMarkerOverrides();
+  loadFunctionalCommentPatterns();
+  await loadContributedCommentSyntax();
+  vscode.workspace.textDocuments.forEach(rememberDocumentLanguage);
+  context.subscriptions.push(
+    vscode.workspace.onDidOpenTextDocument(rememberDocumentLanguage),
+    vscode.extensions.onDidChange(() => loadContributedCommentSyntax()),
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("vcm-view-comments-mirror.commentMarkers")) {
+        loadCommentMarkerOverrides();
+      }
+      if (e.affectsConfiguration("vcm-view-comments-mirror.functionalCommentPatterns")) {
+        loadFunctionalCommentPatterns();
+      }
+    })
+  );
+
   // Register content provider for vcm-view: scheme
   // This allows us to create virtual documents that display in the editor
   const provider = new VCMContentProvider();
@@ -1030,6 +2678,24 @@ async function activate(context) {
     vscode.workspace.registerTextDocumentContentProvider("vcm-view", provider)
   );
 
+  // ---------------------------------------------------------------------------
+  // Helper: the comment under the cursor and its stored entry
+  // ---------------------------------------------------------------------------
+  // current → the comment as it is in the document (line positions for editing it),
+  // stored → its entry in storedComments, matched the same way saveVCM matches them (null when not stored yet).
+  // Commands then change the entry with current.id, which is the stored id whenever stored is set.
+  // Returns null when the line holds no comment.
+  function commentAtLine(doc, lineIndex, storedComments) {
+    const currentComments = extractComments(doc.getText(), doc.uri.path);
+    const current = currentComments.find(c => (c.type === "inline"
+      ? c.originalLineIndex === lineIndex
+      : c.block.some(l => l.originalLineIndex === lineIndex)));
+    if (!current) return null;
+
+    const stored = matchStoredComments(currentComments, storedComments).get(current) || null;
+    return { current, stored };
+  }
+
   // ---------------------------------------------------------------------------
   // Update context for menu items based on cursor position
   // ---------------------------------------------------------------------------
@@ -1043,26 +2709,12 @@ async function activate(context) {
 
     const doc = editor.document;
     const selectedLine = editor.selection.active.line;
-    const line = doc.lineAt(selectedLine);
-    const text = line.text;
-    const trimmed = text.trim();
 
     // Check if cursor is on a comment line (either block comment or inline comment)
-    const isBlockComment = trimmed.match(/^(\s*)(#|\/\/|--|%|;)/);
-    const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-    let isInlineComment = false;
-
-    // Check if line contains an inline comment
-    if (!isBlockComment) {
-      for (const marker of commentMarkers) {
-        const markerIndex = text.indexOf(marker);
-        if (markerIndex > 0) {
-          // Comment marker appears after position 0, so it's inline
-          isInlineComment = true;
-          break;
-        }
-      }
-    }
+    // Uses the same tokenizer as extraction, so markers inside strings don't count
+    const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+    const isBlockComment = scannedLines[selectedLine].isComment;
+    const isInlineComment = !isBlockComment && scannedLines[selectedLine].commentStart >= 0;
 
     const isOnComment = isBlockComment || isInlineComment;
     await vscode.commands.executeCommand('setContext', 'vcm.cursorOnComment', !!isOnComment);
@@ -1075,88 +2727,15 @@ async function activate(context) {
 
     // Check if this comment is marked as alwaysShow or private
     const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (!storagesResolved(relativePath)) return;
 
     try {
-      const { allComments: comments } = await loadAllComments(relativePath);
-
-      // Find the anchor hash for this comment
-      const lines = doc.getText().split("\n");
-      let anchorHash;
-
-      if (isInlineComment) {
-        // For inline comments, the anchor is the code portion before the comment
-        // Find where the comment starts and hash only the code part
-        let commentStartIndex = -1;
-        for (const marker of commentMarkers) {
-          const markerRegex = new RegExp(`(\\s+)(${marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`);
-          const match = text.match(markerRegex);
-          if (match) {
-            commentStartIndex = match.index;
-            break;
-          }
-        }
-        if (commentStartIndex > 0) {
-          const anchorBase = text.substring(0, commentStartIndex).trimEnd();
-          anchorHash = hashLine(anchorBase, 0);
-        } else {
-          await vscode.commands.executeCommand('setContext', 'vcm.commentIsAlwaysShow', false);
-          await vscode.commands.executeCommand('setContext', 'vcm.commentIsPrivate', false);
-          return;
-        }
-      } else {
-        // For block comments, find the next non-comment line
-        let anchorLineIndex = -1;
-        for (let i = selectedLine + 1; i < lines.length; i++) {
-          const trimmed = lines[i].trim();
-          if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-            anchorLineIndex = i;
-            break;
-          }
-        }
-
-        // If no code line below, fallback to the previous code line
-        if (anchorLineIndex === -1) {
-          for (let i = selectedLine - 1; i >= 0; i--) {
-            const trimmed = lines[i].trim();
-            if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-              anchorLineIndex = i;
-              break;
-            }
-          }
-        }
-
-        if (anchorLineIndex === -1) {
-          await vscode.commands.executeCommand('setContext', 'vcm.commentIsAlwaysShow', false);
-          await vscode.commands.executeCommand('setContext', 'vcm.commentIsPrivate', false);
-          return;
-        }
+      const { allComments: comments } = await loadAllComments(relativePath, { unlock: false });
 
-        anchorHash = hashLine(lines[anchorLineIndex], 0);
-      }
-
-      // Check if any comment with this anchor has alwaysShow or isPrivate
-      let isAlwaysShow = false;
-      let isPrivate = false;
-      for (const c of comments) {
-        if (c.anchor === anchorHash) {
-          // For inline comments, also verify we're on the correct line
-          if (c.type === "inline" && isInlineComment) {
-            // Extract current comments and match by line
-            const currentComments = extractComments(doc.getText(), doc.uri.path);
-            const matchingCurrent = currentComments.find(curr =>
-              curr.anchor === anchorHash && curr.originalLineIndex === selectedLine
-            );
-            if (matchingCurrent) {
-              if (c.alwaysShow) isAlwaysShow = true;
-              if (c.isPrivate) isPrivate = true;
-            }
-          } else {
-            // For block comments, anchor match is sufficient
-            if (c.alwaysShow) isAlwaysShow = true;
-            if (c.isPrivate) isPrivate = true;
-          }
-        }
-      }
+      // Flags of the stored entry for exactly this comment (not of others on identical lines)
+      const found = commentAtLine(doc, selectedLine, comments);
+      const isAlwaysShow = !!found?.stored?.alwaysShow;
+      const isPrivate = !!found?.stored?.isPrivate;
 
       await vscode.commands.executeCommand('setContext', 'vcm.commentIsAlwaysShow', isAlwaysShow);
       await vscode.commands.executeCommand('setContext', 'vcm.commentIsPrivate', isPrivate);
@@ -1171,6 +2750,35 @@ async function activate(context) {
     vscode.window.onDidChangeTextEditorSelection(() => updateAlwaysShowContext())
   );
 
+  // ---------------------------------------------------------------------------
+  // HOVER: who wrote the comment under the mouse, and when
+  // ---------------------------------------------------------------------------
+  context.subscriptions.push(
+    vscode.languages.registerHoverProvider({ scheme: "file" }, {
+      async provideHover(doc, position) {
+        if (!vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("showCommentInfoOnHover", true)) return null;
+        if (doc.uri.path.includes("/.vcm/")) return null;
+
+        // Only over the comment itself, not over the code before an inline comment
+        const scanned = scanCommentLines(doc.getText(), doc.uri.path)[position.line];
+        const onComment = scanned.isComment || (scanned.commentStart >= 0 && position.character >= scanned.commentStart);
+        if (!onComment) return null;
+
+        const relativePath = vscode.workspace.asRelativePath(doc.uri);
+        if (!storagesResolved(relativePath)) return null;
+        const { allComments } = await loadAllComments(relativePath, { unlock: false });
+        const stored = commentAtLine(doc, position.line, allComments)?.stored;
+        const authorship = stored && describeAuthorship(stored);
+        if (!authorship) return null;
+
+        const info = new vscode.MarkdownString();
+        info.appendMarkdown(stored.isPrivate ? "**VCM** private comment " : "**VCM** comment ");
+        info.appendText(authorship); // plain text - "<email>" is not HTML
+        return new vscode.Hover(info);
+      },
+    })
+  );
+
   // Update context when active editor changes
   context.subscriptions.push(
     vscode.window.onDidChangeActiveTextEditor(() => updateAlwaysShowContext())
@@ -1179,37 +2787,509 @@ async function activate(context) {
   // Initial update
   updateAlwaysShowContext();
 
+  // ===========================================================================
+  // Helper: enclosing symbol of each line (for symbolPath anchors)
+  // ===========================================================================
+  // Asks the language's document symbol provider (same data as the Outline view) about doc,
+  // then carries the result over to targetText - doc's text with comments added or removed.
+  // Returns null when no provider answers, so injection falls back to line hashes and context alone.
+  async function getLineSymbols(doc, targetText = null) {
+    let symbols;
+    try {
+      symbols = await vscode.commands.executeCommand("vscode.executeDocumentSymbolProvider", doc.uri);
+    } catch {
+      return null;
+    }
+    if (!symbols || symbols.length === 0) return null;
+
+    const docText = doc.getText();
+    const docPaths = symbolPathsByLine(symbols, doc.lineCount);
+    if (targetText === null || targetText === docText) return docPaths;
+    return mapLinesByCode(docPaths, docText, targetText, doc.uri.path);
+  }
+
   // ===========================================================================
   // Helper functions for managing shared and private VCM files
   // ===========================================================================
 
+  // ---------------------------------------------------------------------------
+  // Encrypted private comments
+  // ---------------------------------------------------------------------------
+  // With encryptPrivateComments on, private mirrors (and their backups) are written encrypted - see encryptVcmComments.
+  // Keys never go next to the mirrors: they are cached in VS Code's SecretStorage, by salt, so the passphrase is
+  // asked for once per machine. Cached as { current: <salt new mirrors use>, keys: { <salt>: <base64 key> } }
+  const privateKeysSecret = "vcm-view-comments-mirror.privateKeys";
+  let privateKeys = null;
+  let passphrasePrompts = Promise.resolve(); // One passphrase prompt at a time
+
+  function encryptPrivateComments() {
+    return vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("encryptPrivateComments", false);
+  }
+
+  async function loadPrivateKeys() {
+    if (!privateKeys) {
+      try {
+        privateKeys = JSON.parse((await context.secrets.get(privateKeysSecret)) || "null");
+      } catch {
+        // Unreadable secret - the passphrase is asked for again
+      }
+      privateKeys = privateKeys || { current: null, keys: {} };
+    }
+    return privateKeys;
+  }
+
+  // Cache a key; the first one known becomes the key new mirrors are written with
+  async function rememberPrivateKey(salt, key, makeCurrent = false) {
+    const keys = await loadPrivateKeys();
+    keys.keys[salt] = key.toString("base64");
+    if (makeCurrent || !keys.current) keys.current = salt;
+    await context.secrets.store(privateKeysSecret, JSON.stringify(keys));
+  }
+
+  // Run a passphrase lookup after any prompt already on screen
+  function queuePassphrasePrompt(task) {
+    const run = passphrasePrompts.catch(() => {}).then(task);
+    passphrasePrompts = run;
+    return run;
+  }
+
+  // Key that decrypts an encrypted mirror, or null when it isn't known
+  // Asks for the passphrase when this machine doesn't know it yet (unless interactive is false) and checks it against the mirror
+  function privateKeyFor(encrypted, interactive) {
+    return queuePassphrasePrompt(async () => {
+      const keys = await loadPrivateKeys();
+      if (keys.keys[encrypted.salt]) return Buffer.from(keys.keys[encrypted.salt], "base64");
+      if (!interactive) return null;
+
+      let prompt = "VCM: Passphrase of your encrypted private comments";
+      for (;;) {
+        const passphrase = await vscode.window.showInputBox({ prompt, password: true, ignoreFocusOut: true });
+        if (!passphrase) return null;
+        const key = await deriveVcmKey(passphrase, encrypted.salt);
+        try {
+          decryptVcmComments(encrypted, key);
+        } catch {
+          prompt = "VCM: Wrong passphrase - try again";
+          continue;
+        }
+        await rememberPrivateKey(encrypted.salt, key);
+        return key;
+      }
+    });
+  }
+
+  // Key and salt new encrypted mirrors are written with, or null when no passphrase is given
+  // The first time, asks for a new passphrase (twice)
+  function currentPrivateKey() {
+    return queuePassphrasePrompt(async () => {
+      const keys = await loadPrivateKeys();
+      if (keys.current && keys.keys[keys.current]) {
+        return { salt: keys.current, key: Buffer.from(keys.keys[keys.current], "base64") };
+      }
+
+      const passphrase = await vscode.window.showInputBox({
+        prompt: "VCM: Choose a passphrase to encrypt your private comments",
+        password: true,
+        ignoreFocusOut: true,
+        validateInput: (value) => (value.length >= 8 ? null : "Use at least 8 characters"),
+      });
+      if (!passphrase) return null;
+      const repeated = await vscode.window.showInputBox({
+        prompt: "VCM: Enter the passphrase again",
+        password: true,
+        ignoreFocusOut: true,
+        validateInput: (value) => (value === passphrase ? null : "The passphrases don't match"),
+      });
+      if (repeated !== passphrase) return null;
+
+      const salt = crypto.randomBytes(16).toString("base64");
+      const key = await deriveVcmKey(passphrase, salt);
+      await rememberPrivateKey(salt, key, true);
+      return { salt, key };
+    });
+  }
+
+  // Parse a mirror's content, decrypting its comments when it is encrypted
+  // Without the key (not cached, and not given or interactive is false) it comes back with no comments and locked: true
+  async function decodeVcmData(content, interactive = true) {
+    const data = JSON.parse(content.toString());
+    if (!data || !data.encrypted) return data;
+
+    const { encrypted, ...rest } = data;
+    const key = await privateKeyFor(encrypted, interactive);
+    if (!key) return { ...rest, comments: [], locked: true };
+    return { ...rest, comments: decryptVcmComments(encrypted, key) };
+  }
+
+  // Content to write for one layer's mirror: private comments are encrypted while encryptPrivateComments is on
+  async function encodeVcmData(layer, data) {
+    if (layer === "private" && encryptPrivateComments()) {
+      const current = await currentPrivateKey();
+      if (!current) throw new Error("no passphrase was entered to encrypt the private comments");
+      const { comments, ...rest } = data;
+      data = { ...rest, encrypted: encryptVcmComments(comments, current.key, current.salt) };
+    }
+    return Buffer.from(JSON.stringify(data, null, 2), "utf8");
+  }
+
+  // Every .vcm.json at or below a folder
+  async function listMirrorFiles(dirUri) {
+    let entries;
+    try {
+      entries = await vscode.workspace.fs.readDirectory(dirUri);
+    } catch {
+      return [];
+    }
+    const files = [];
+    for (const [name, type] of entries) {
+      const childUri = vscode.Uri.joinPath(dirUri, name);
+      if (type & vscode.FileType.Directory) {
+        files.push(...(await listMirrorFiles(childUri)));
+      } else if (name.endsWith(".vcm.json")) {
+        files.push(childUri);
+      }
+    }
+    return files;
+  }
+
+  // Rewrite every private mirror, backup and deleted file's mirror in the format the setting now asks for
+  // Returns { converted, locked } - locked counts encrypted files whose passphrase wasn't given (left as they are)
+  async function convertPrivateMirrors() {
+    const encrypt = encryptPrivateComments();
+    let converted = 0;
+    let locked = 0;
+
+    for (const { storage } of await allStorages()) {
+      if (storage.layer !== "private") continue;
+
+      const dirs = [storage.rootUri, vscode.Uri.joinPath(storage.baseDir, ".backup", "private")];
+      const trashDir = vscode.Uri.joinPath(storage.baseDir, ".trash");
+      for (const [id, type] of await vscode.workspace.fs.readDirectory(trashDir).catch(() => [])) {
+        if (type & vscode.FileType.Directory) dirs.push(vscode.Uri.joinPath(trashDir, id, "private"));
+      }
+
+      for (const dirUri of dirs) {
+        for (const fileUri of await listMirrorFiles(dirUri)) {
+          await queueVcmWrite(fileUri.fsPath, async () => {
+            let raw;
+            try {
+              raw = await vscode.workspace.fs.readFile(fileUri);
+              if (!!JSON.parse(raw.toString()).encrypted === encrypt) return; // Already in this format
+            } catch {
+              return; // Unreadable - left as it is
+            }
+            const { locked: isLocked, ...data } = await decodeVcmData(raw);
+            if (isLocked) {
+              locked++;
+              return;
+            }
+            await writeFileAtomic(fileUri, await encodeVcmData("private", data));
+            converted++;
+          });
+        }
+      }
+    }
+    return { converted, locked };
+  }
+
+  // Turning encryption on or off only changes how private mirrors are written from now on - offer to convert the existing ones
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration(async (e) => {
+      if (!e.affectsConfiguration("vcm-view-comments-mirror.encryptPrivateComments")) return;
+
+      const encrypt = encryptPrivateComments();
+      const action = encrypt ? "Encrypt Now" : "Decrypt Now";
+      const choice = await vscode.window.showInformationMessage(
+        encrypt
+          ? "VCM: Private comments will be encrypted when they are next saved. Encrypt the existing ones (and their backups) now?"
+          : "VCM: Private comments will be saved as plain text from now on. Decrypt the existing ones (and their backups) now?",
+        action,
+        "Later"
+      );
+      if (choice !== action) return;
+
+      try {
+        const { converted, locked } = await convertPrivateMirrors();
+        const skipped = locked > 0 ? ` (${locked} left encrypted - no passphrase was entered for them)` : "";
+        vscode.window.showInformationMessage(`VCM: ${encrypt ? "Encrypted" : "Decrypted"} ${converted} private comment file(s)${skipped}`);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Could not convert the private comments: " + err.message);
+      }
+    })
+  );
+
+  // Mirrors written by a newer version of the extension (mirror path -> its schema version)
+  // They are skipped when reading and never overwritten; the warning is shown once per file.
+  const newerSchemaMirrors = new Map();
+
+  function warnNewerSchema(fileUri, version) {
+    if (newerSchemaMirrors.has(fileUri.fsPath)) return;
+    newerSchemaMirrors.set(fileUri.fsPath, version);
+    vscode.window.showWarningMessage(
+      `VCM: ${vscode.workspace.asRelativePath(fileUri)} was written by a newer version of VCM (schema v${version}, this version reads up to v${VCM_SCHEMA_VERSION}). Its comments are left untouched - update the extension to use them.`
+    );
+  }
+
+  // Read one layer's .vcm.json (layer = "shared" or "private"), migrated to the current schema
+  // Returns { comments, exists, newer, locked } - comments is empty when the file is missing, unreadable or newer,
+  // or encrypted with a passphrase that wasn't given (locked; only asked for when interactive).
+  // Migrated comments are only upgraded in memory; the next write stores them with the current version.
+  async function readVcmFile(layer, relativePath, interactive = true) {
+    const { storage, folderPath } = await storageOf(layer, relativePath);
+    const fileUri = storage.uri(folderPath);
+    let data;
+    try {
+      data = await decodeVcmData(await storage.read(folderPath), interactive);
+    } catch {
+      return { comments: [], exists: false, newer: false, locked: false };
+    }
+    if (data.locked) {
+      return { comments: [], exists: true, newer: false, locked: true };
+    }
+
+    const comments = migrateVcmComments(data);
+    if (comments === null) {
+      warnNewerSchema(fileUri, vcmSchemaVersion(data));
+      return { comments: [], exists: true, newer: true, locked: false };
+    }
+    newerSchemaMirrors.delete(fileUri.fsPath);
+    return { comments, exists: true, newer: false, locked: false };
+  }
+
   // Load all comments from both shared and private VCM files
-  async function loadAllComments(relativePath) {
-    const sharedFileUri = vscode.Uri.joinPath(vcmDir, relativePath + ".vcm.json");
-    const privateFileUri = vscode.Uri.joinPath(vcmPrivateDir, relativePath + ".vcm.json");
+  // newerSchema is true when either file was written by a newer version - callers must not save over it
+  // privateLocked is true when the private file is encrypted and its passphrase wasn't given - same rule.
+  // Pass unlock: false where asking for the passphrase would interrupt (hovers, cursor moves, background work).
+  async function loadAllComments(relativePath, { unlock = true } = {}) {
+    const shared = await readVcmFile("shared", relativePath);
+    const priv = await readVcmFile("private", relativePath, unlock);
+
+    const sharedComments = shared.comments;
+    const privateComments = priv.comments.map(c => ({ ...c, isPrivate: true }));
+
+    return {
+      sharedComments,
+      privateComments,
+      allComments: [...sharedComments, ...privateComments],
+      newerSchema: shared.newer || priv.newer,
+      privateLocked: priv.locked,
+    };
+  }
 
-    let sharedComments = [];
-    let privateComments = [];
+  // ---------------------------------------------------------------------------
+  // Writing .vcm files safely
+  // ---------------------------------------------------------------------------
+  // saveVCM, the toggle and the mark commands can all write the same mirror at once.
+  // Writes to one file are queued so they land one after another, each goes to a temp file that is then
+  // renamed over the mirror (VcmStorage.write), and the content being replaced or deleted is first copied
+  // to .backup/<shared|private>/<path>/<timestamp>.vcm.json in the layer's storage (.vcm by default).
+  const vcmWriteQueues = new Map();
+
+  // Run task once every task queued before it under the same key has finished (key = the file being written)
+  function queueVcmWrite(key, task) {
+    const run = (vcmWriteQueues.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    vcmWriteQueues.set(key, run);
+    run.catch(() => {}).then(() => {
+      if (vcmWriteQueues.get(key) === run) vcmWriteQueues.delete(key);
+    });
+    return run;
+  }
 
+  // Copies of private mirrors (backups, trash) sit next to .vcm/private/, not inside it, so a .gitignore that
+  // only lists .vcm/private/ would commit them - say so once per storage when git ignores the mirror but not its copy
+  const warnedTrackedPrivateCopies = new Set();
+  async function warnIfPrivateCopyTracked(storage, mirrorFileUri, copyUri) {
+    if (storage.layer !== "private" || warnedTrackedPrivateCopies.has(storage.baseDir.toString())) return;
+    const gitApi = await getGitApi();
+    const repository = gitApi && gitApi.getRepository(copyUri);
+    if (!repository) return;
     try {
-      const sharedData = JSON.parse((await vscode.workspace.fs.readFile(sharedFileUri)).toString());
-      sharedComments = sharedData.comments || [];
+      const ignored = await repository.checkIgnore([mirrorFileUri.fsPath, copyUri.fsPath]);
+      if (!ignored.has(mirrorFileUri.fsPath) || ignored.has(copyUri.fsPath)) return;
     } catch {
-      // No shared VCM file
+      return; // git could not tell - nothing to warn about
+    }
+    warnedTrackedPrivateCopies.add(storage.baseDir.toString());
+    const folder = vscode.workspace.asRelativePath(storage.baseDir);
+    vscode.window.showWarningMessage(
+      `VCM: Private comment backups and deleted-file copies in ${folder}/.backup/private/ and ${folder}/.trash/*/private/ are not git-ignored - add them to .gitignore next to ${folder}/private/, or they will be committed.`
+    );
+  }
+
+  // Keep a copy of a mirror's current content before it is replaced or deleted
+  // Backups stay with the layer's storage, so private comments never land in a shared place
+  // Only the newest backupCount copies of each mirror are kept (0 turns backups off)
+  async function backupVcmFile(storage, folderPath, content) {
+    const keep = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("backupCount", 10);
+    if (keep <= 0) return;
+
+    const backupFolder = vscode.Uri.joinPath(storage.baseDir, ".backup", storage.layer, folderPath);
+    await vscode.workspace.fs.createDirectory(backupFolder).catch(() => {});
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupUri = vscode.Uri.joinPath(backupFolder, `${stamp}.vcm.json`);
+    await vscode.workspace.fs.writeFile(backupUri, content);
+    await warnIfPrivateCopyTracked(storage, storage.uri(folderPath), backupUri);
+
+    // Timestamps sort by name - drop the oldest
+    const backups = (await vscode.workspace.fs.readDirectory(backupFolder))
+      .filter(([name, type]) => type === vscode.FileType.File && name.endsWith(".vcm.json"))
+      .map(([name]) => name)
+      .sort();
+    for (const name of backups.slice(0, -keep)) {
+      await vscode.workspace.fs.delete(vscode.Uri.joinPath(backupFolder, name)).catch(() => {});
     }
+  }
 
+  // Back up a mirror unless it already holds exactly these comments (a save that changed nothing)
+  // A file that can't be parsed is always backed up - it may be the only copy of someone's comments
+  async function backupIfChanged(storage, folderPath, comments) {
+    let previous;
+    try {
+      previous = await storage.read(folderPath);
+    } catch {
+      return; // Nothing to back up yet
+    }
+    let data = null;
     try {
-      const privateData = JSON.parse((await vscode.workspace.fs.readFile(privateFileUri)).toString());
-      privateComments = (privateData.comments || []).map(c => ({ ...c, isPrivate: true }));
+      data = await decodeVcmData(previous, false);
+      if (comments && !data.locked && JSON.stringify(data.comments) === JSON.stringify(comments)) return;
     } catch {
-      // No private VCM file
+      // Damaged mirror - keep it
+    }
+
+    // With encryption on, a plain private mirror is backed up encrypted too
+    if (data && !data.locked && storage.layer === "private" && encryptPrivateComments() && !JSON.parse(previous.toString()).encrypted) {
+      previous = await encodeVcmData("private", data);
+    }
+    await backupVcmFile(storage, folderPath, previous);
+  }
+
+  // Delete one layer's .vcm.json (backed up first). Missing files are ignored.
+  async function deleteVcmFile(layer, relativePath) {
+    const { storage, folderPath } = await storageOf(layer, relativePath);
+    const fileUri = storage.uri(folderPath);
+    return queueVcmWrite(fileUri.fsPath, async () => {
+      const existing = await readVcmFile(layer, relativePath);
+      if (existing.newer) {
+        throw new Error(`${vscode.workspace.asRelativePath(fileUri)} was written by a newer version of VCM and was not deleted`);
+      }
+      if (existing.locked) {
+        throw new Error(`${vscode.workspace.asRelativePath(fileUri)} is encrypted and no passphrase was entered - it was not deleted`);
+      }
+      await backupIfChanged(storage, folderPath, null);
+      await storage.delete(folderPath);
+    });
+  }
+
+  // Write one layer's .vcm.json (layer = "shared" or "private"), creating its folders as needed
+  // Refuses to overwrite a file written by a newer version of the extension
+  async function writeVcmFile(layer, relativePath, comments) {
+    const { storage, folderPath } = await storageOf(layer, relativePath);
+    return queueVcmWrite(storage.uri(folderPath).fsPath, () => writeVcmFileNow(layer, relativePath, storage, folderPath, comments));
+  }
+
+  async function writeVcmFileNow(layer, relativePath, storage, folderPath, comments) {
+    const existing = await readVcmFile(layer, relativePath);
+    if (existing.newer) {
+      throw new Error(`${vscode.workspace.asRelativePath(storage.uri(folderPath))} was written by a newer version of VCM and was not overwritten`);
+    }
+    if (existing.locked) {
+      throw new Error(`${vscode.workspace.asRelativePath(storage.uri(folderPath))} is encrypted and no passphrase was entered - it was not overwritten`);
+    }
+
+    // Ids are unique within a file: an entry without one (or sharing one, e.g. after a merge) gets a new id
+    const seenIds = new Set();
+    comments = comments.map(comment => {
+      const withId = comment.id && !seenIds.has(comment.id) ? comment : { ...comment, id: newCommentId() };
+      seenIds.add(withId.id);
+      return withId;
+    });
+
+    const data = {
+      version: VCM_SCHEMA_VERSION,
+      file: folderPath,
+      lastModified: new Date().toISOString(),
+      comments,
+    };
+    const content = await encodeVcmData(layer, data);
+    await backupIfChanged(storage, folderPath, comments);
+    await storage.write(folderPath, content);
+  }
+
+  // Who is writing the comments of relativePath: "Name <email>" from git's user.name / user.email
+  // (config of the repository holding its workspace folder, then global)
+  // Remembered per repository once found; null while git isn't available, the folder isn't in a repository (another
+  // repository's identity would be the wrong one) or it has no identity, so new comments just have no author.
+  const commentAuthors = new Map();
+  async function getCommentAuthor(relativePath) {
+    const gitApi = await getGitApi();
+    const repository = gitApi && gitApi.getRepository(resolveWorkspacePath(relativePath).folderUri);
+    if (!repository) return null;
+    const cacheKey = repository.rootUri.fsPath;
+    if (commentAuthors.has(cacheKey)) return commentAuthors.get(cacheKey);
+
+    const read = async (key) =>
+      (await repository.getConfig(key).catch(() => "")) || (await repository.getGlobalConfig(key).catch(() => ""));
+    const name = (await read("user.name")).trim();
+    const email = (await read("user.email")).trim();
+    if (!name && !email) return null;
+
+    const commentAuthor = name && email ? `${name} <${email}>` : name || email;
+    commentAuthors.set(cacheKey, commentAuthor);
+    return commentAuthor;
+  }
+
+  // A comment's text is about to change: keep the wording it loses (previousText) in its history
+  // history is newest last, each entry { text, author, updatedAt } of when that wording was written,
+  // and holds at most commentHistoryLimit entries (0 keeps none).
+  // Returns the fields to set on the comment: history, updatedAt and updatedBy (who wrote the new wording)
+  function reviseComment(comment, previousText, author) {
+    const limit = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("commentHistoryLimit", 10);
+    let history = comment.history || [];
+    if (previousText.trim()) {
+      history = [...history, { text: previousText, author: comment.updatedBy || comment.author, updatedAt: comment.updatedAt }];
     }
+    history = limit > 0 ? history.slice(-limit) : [];
 
-    return { sharedComments, privateComments, allComments: [...sharedComments, ...privateComments] };
+    return {
+      history: history.length > 0 ? history : undefined,
+      updatedAt: new Date().toISOString(),
+      updatedBy: author || undefined,
+    };
   }
 
   // Save comments, splitting them into shared and private files
-  async function saveCommentsToVCM(relativePath, comments) {
+  // Saves of the same file run one at a time, so each one reads what the previous one wrote
+  function saveCommentsToVCM(relativePath, comments) {
+    return queueVcmWrite(`save:${relativePath}`, () => saveCommentsToVCMNow(relativePath, comments));
+  }
+
+  async function saveCommentsToVCMNow(relativePath, comments) {
+    // Functional comments (directives, pragmas, license headers) always stay in the file - never store them as hideable
+    comments = comments.map(withoutFunctionalComments).filter(Boolean);
+
+    // Never save over (or delete) a mirror written by a newer version of the extension, or one that can't be decrypted
+    const stored = await loadAllComments(relativePath);
+    if (stored.newerSchema) {
+      throw new Error(`the comments of ${relativePath} were saved by a newer version of VCM and were not overwritten`);
+    }
+    if (stored.privateLocked) {
+      throw new Error(`the private comments of ${relativePath} are encrypted and no passphrase was entered`);
+    }
+
+    // Comments stored for the first time record who wrote them and when
+    // (entries saved before this metadata existed stay without it rather than being credited to whoever saves next)
+    // updatedAt then moves whenever their text changes - see processCommentSync
+    const storedIds = new Set(stored.allComments.map(c => c.id));
+    const now = new Date().toISOString();
+    const author = await getCommentAuthor(relativePath);
+    comments = comments.map(c => (storedIds.has(c.id) || c.createdAt ? c : {
+      ...c,
+      ...(author ? { author } : {}),
+      createdAt: now,
+      updatedAt: now,
+    }));
+
     const sharedComments = comments.filter(c => !c.isPrivate);
     const privateComments = comments.filter(c => c.isPrivate).map(c => {
       const { isPrivate, ...rest } = c;
@@ -1217,65 +3297,23 @@ async function activate(context) {
     });
 
     // Save shared comments (only if there are shared comments or a shared VCM file already exists)
-    const sharedExists = await vcmFileExists(vcmDir, relativePath);
+    const sharedExists = await vcmFileExists("shared", relativePath);
     if (sharedComments.length > 0 || sharedExists) {
-      // Ensure the base .vcm/shared directory exists
-      await vscode.workspace.fs.createDirectory(vcmDir).catch(() => {});
-
-      const sharedFileUri = vscode.Uri.joinPath(vcmDir, relativePath + ".vcm.json");
-      const sharedData = {
-        file: relativePath,
-        lastModified: new Date().toISOString(),
-        comments: sharedComments,
-      };
-
-      // Ensure dir structure exists
-      const pathParts = relativePath.split(/[\\/]/);
-      if (pathParts.length > 1) {
-        const vcmSubdir = vscode.Uri.joinPath(vcmDir, pathParts.slice(0, -1).join("/"));
-        await vscode.workspace.fs.createDirectory(vcmSubdir).catch(() => {});
-      }
-
-      await vscode.workspace.fs.writeFile(
-        sharedFileUri,
-        Buffer.from(JSON.stringify(sharedData, null, 2), "utf8")
-      );
+      await writeVcmFile("shared", relativePath, sharedComments);
     }
 
-    // 4️⃣ Private VCM path + write or delete
-    const privateFileUri = vscode.Uri.joinPath(vcmPrivateDir, relativePath + ".vcm.json");
+    // Private VCM: write, or delete when there are no private comments left
     if (privateComments.length > 0) {
-      const privateData = {
-        file: relativePath,
-        lastModified: new Date().toISOString(),
-        comments: privateComments,
-      };
-
-      const pathParts = relativePath.split(/[\\/]/);
-      if (pathParts.length > 1) {
-        const vcmPrivateSubdir = vscode.Uri.joinPath(vcmPrivateDir, pathParts.slice(0, -1).join("/"));
-        await vscode.workspace.fs.createDirectory(vcmPrivateSubdir).catch(() => {});
-      }
-
-      await vscode.workspace.fs.writeFile(
-        privateFileUri,
-        Buffer.from(JSON.stringify(privateData, null, 2), "utf8")
-      );
+      await writeVcmFile("private", relativePath, privateComments);
     } else {
-      // Delete private VCM file if no private comments
-      const privateFileUri = vscode.Uri.joinPath(vcmPrivateDir, relativePath + ".vcm.json");
-      try {
-        await vscode.workspace.fs.delete(privateFileUri);
-      } catch {
-        // Ignore non-existent file
-      }
+      await deleteVcmFile("private", relativePath);
     }
   }
 
   // Check if a VCM file exists
-  async function vcmFileExists(dir, relativePath) {
+  async function vcmFileExists(layer, relativePath) {
     try {
-      await vscode.workspace.fs.stat(vscode.Uri.joinPath(dir, relativePath + ".vcm.json"));
+      await vscode.workspace.fs.stat(await mirrorUri(layer, relativePath));
       return true;
     } catch {
       return false;
@@ -1296,6 +3334,7 @@ async function activate(context) {
     otherComments = [],    // array: comments from other VCM (to detect cross-contamination)
     isPrivateMode = false, // boolean: true = processing private comments, false = shared
     wasJustInjected = false, // boolean: skip processing in clean mode if just injected
+    author = null,         // string: who is editing (see getCommentAuthor), recorded on changed comments
   }) {
     // If just injected in clean mode, return existing comments unchanged
     if (!isCommented && wasJustInjected) {
@@ -1304,203 +3343,99 @@ async function activate(context) {
 
     let finalComments;
 
+    // currentComments already carry the id of the stored entry they are (see matchStoredComments in saveVCM)
+    const existingById = new Map(existingComments.map(c => [c.id, c]));
+    const otherById = new Map(otherComments.map(c => [c.id, c]));
+    const otherIds = new Set(otherById.keys());
+
+    // Who wrote a stored comment, when, and its earlier wordings carry over to its re-extracted version
+    // A new text is an edit: the old wording goes to the history (see reviseComment)
+    const textOf = (c) => commentBody(c.type === "inline" ? c.text : c.block);
+    const authorship = (current, stored) => ({
+      author: stored.author,
+      createdAt: stored.createdAt,
+      updatedAt: stored.updatedAt,
+      updatedBy: stored.updatedBy,
+      history: stored.history,
+      ...(textOf(current) !== textOf(stored) ? reviseComment(stored, textOf(stored), author) : {}),
+    });
+
     if (isCommented) {
       // ========================================================================
       // COMMENTED MODE: Replace VCM with current state, preserving metadata
       // ========================================================================
 
-      // Build map of existing comments by anchor
-      const existingByKey = new Map();
-      const existingByText = new Map();
-      for (const existing of existingComments) {
-        const key = `${existing.type}:${existing.anchor}`;
-        if (!existingByKey.has(key)) {
-          existingByKey.set(key, []);
-        }
-        existingByKey.get(key).push(existing);
-
-        // Index by text to handle anchor changes
-        const textKey = existing.text || (existing.block ? existing.block.map(b => b.text).join('\n') : '');
-        if (textKey && !existingByText.has(textKey)) {
-          existingByText.set(textKey, existing);
-        }
-      }
-
-      // Build map of "other" comments (private if processing shared, shared if processing private)
-      const otherByKey = new Map();
-      const otherByText = new Map();
-      for (const otherComment of otherComments) {
-        const key = `${otherComment.type}:${otherComment.anchor}`;
-        if (!otherByKey.has(key)) {
-          otherByKey.set(key, []);
-        }
-        otherByKey.get(key).push(otherComment);
-
-        // Index by text
-        const textKey = otherComment.text || (otherComment.block ? otherComment.block.map(b => b.text).join('\n') : '');
-        if (textKey && !otherByText.has(textKey)) {
-          otherByText.set(textKey, otherComment);
-        }
-      }
-
       // Track which existing comments we've matched
       const matchedExisting = new Set();
 
       // Process current comments and match with existing to preserve metadata
       finalComments = currentComments.map(current => {
-        const key = `${current.type}:${current.anchor}`;
-        const currentText = current.text || (current.block ? current.block.map(b => b.text).join('\n') : '');
-
-        // Check if this comment exists in the "other" VCM (cross-contamination detection)
-        const otherCandidates = otherByKey.get(key) || [];
-        if (otherCandidates.length > 0) {
-          // This comment belongs to the other VCM - mark it appropriately
+        // This comment belongs to the "other" VCM (private if processing shared, shared if processing private)
+        if (otherIds.has(current.id)) {
           return {
             ...current,
+            ...authorship(current, otherById.get(current.id)),
             isPrivate: !isPrivateMode, // If processing shared, mark as private; if processing private, don't mark
           };
         }
 
-        // Also check by text in case anchor changed
-        if (currentText && otherByText.has(currentText)) {
-          return {
-            ...current,
-            isPrivate: !isPrivateMode,
-          };
-        }
-
-        // Not from other VCM - check this VCM's existing comments for metadata
-        const candidates = existingByKey.get(key) || [];
-        if (candidates.length > 0) {
-          // Found match by anchor - preserve metadata
-          const existing = candidates[0];
+        // Stored in this VCM - preserve metadata
+        const existing = existingById.get(current.id);
+        if (existing) {
           matchedExisting.add(existing);
-          candidates.shift();
-          if (candidates.length === 0) {
-            existingByKey.delete(key);
-          }
           return {
             ...current,
+            ...authorship(current, existing),
             alwaysShow: existing.alwaysShow || undefined,
             // Preserve any other metadata fields here
           };
         }
 
-        // No match by anchor - try matching by text (anchor might have changed)
-        if (currentText && existingByText.has(currentText)) {
-          const existing = existingByText.get(currentText);
-          if (!matchedExisting.has(existing)) {
-            matchedExisting.add(existing);
-            return {
-              ...current,
-              alwaysShow: existing.alwaysShow || undefined,
-            };
-          }
-        }
-
         // No match found - return as-is (new comment)
         return current;
       });
 
       // In commented mode, DO NOT add back unmatched existing comments
       // If a comment isn't in the current document, it was deleted
+      // Exception: orphaned comments were never injected, so their absence doesn't mean the user deleted them
+      const unplacedOrphans = existingComments.filter(existing => existing.orphaned && !matchedExisting.has(existing));
+      finalComments.push(...unplacedOrphans);
 
     } else {
       // ========================================================================
       // CLEAN MODE: Preserve hidden VCM comments, track new ones via text_cleanMode (shared) or direct update (private)
       // ========================================================================
 
-      // Build map of existing comments by anchor + context hashes
-      const existingByKey = new Map();
-      for (const existing of existingComments) {
-        const key = `${existing.type}:${existing.anchor}:${existing.prevHash || 'null'}:${existing.nextHash || 'null'}`;
-        if (!existingByKey.has(key)) {
-          existingByKey.set(key, []);
-        }
-        existingByKey.get(key).push(existing);
-      }
-
-      // Build set of "other" comment keys for filtering
-      const otherKeys = new Set();
-      const otherTexts = new Set();
-      for (const otherComment of otherComments) {
-        const key = `${otherComment.type}:${otherComment.anchor}:${otherComment.prevHash || 'null'}:${otherComment.nextHash || 'null'}`;
-        otherKeys.add(key);
-
-        const textKey = otherComment.text || (otherComment.block ? otherComment.block.map(b => b.text).join('\n') : '');
-        if (textKey) {
-          otherTexts.add(`${otherComment.type}:${textKey}`);
-        }
-      }
+      // Is the comment shown with (one of) its stored texts, rather than merely sitting on its anchor line?
+      const showsOwnText = (current, existing) =>
+        storedCommentTexts(existing).includes(commentBody(current.type === "inline" ? current.text : current.block));
 
       if (isPrivateMode) {
         // ====================================================================
-        // PRIVATE MODE IN CLEAN: Update anchors by matching text (like shared)
+        // PRIVATE MODE IN CLEAN: Update visible private comments in place
         // ====================================================================
-
-        // Build map by text for matching
-        const existingByText = new Map();
-        for (const existing of existingComments) {
-          const textKey = existing.text || (existing.block ? existing.block.map(b => b.text).join('\n') : '');
-          if (textKey && !existingByText.has(textKey)) {
-            existingByText.set(textKey, existing);
-          }
-        }
-
-        // Track which existing comments we've matched
-        const matchedExisting = new Set();
-
-        // Process current comments
         for (const current of currentComments) {
-          const key = `${current.type}:${current.anchor}:${current.prevHash || 'null'}:${current.nextHash || 'null'}`;
-          const currentText = current.text || (current.block ? current.block.map(b => b.text).join('\n') : '');
-
-          // Skip if this comment belongs to the "other" VCM (shared)
-          if (otherKeys.has(key)) {
-            continue;
-          }
-
-          // Match by text first (handles when comment moves)
-          let existing = null;
-          if (currentText && existingByText.has(currentText)) {
-            const candidate = existingByText.get(currentText);
-            if (!matchedExisting.has(candidate)) {
-              existing = candidate;
-              matchedExisting.add(existing);
-              // Update anchor to new position
-              existing.anchor = current.anchor;
-              existing.prevHash = current.prevHash;
-              existing.nextHash = current.nextHash;
-              existing.originalLineIndex = current.originalLineIndex;
-              // Update content
-              existing.text = current.text;
-              existing.block = current.block;
-              // Update anchorText
-              if (current.anchorText !== undefined) {
-                existing.anchorText = current.anchorText;
-              }
-            }
+          // Shared or newly typed comments are stored by the shared pass
+          const existing = existingById.get(current.id);
+          if (!existing) continue;
+
+          // Same comment text: it moved with its code - update anchor to new position
+          if (showsOwnText(current, existing)) {
+            existing.anchor = current.anchor;
+            existing.prevHash = current.prevHash;
+            existing.nextHash = current.nextHash;
+            existing.originalLineIndex = current.originalLineIndex;
+            existing.symbolPath = current.symbolPath;
           }
 
-          // If no text match, try anchor match
-          if (!existing) {
-            const candidates = existingByKey.get(key) || [];
-            if (candidates.length > 0 && !matchedExisting.has(candidates[0])) {
-              existing = candidates[0];
-              matchedExisting.add(existing);
-              // Update content
-              existing.text = current.text;
-              existing.block = current.block;
-              if (current.anchorText !== undefined) {
-                existing.anchorText = current.anchorText;
-              }
-            }
+          // Update content and anchorText
+          if (textOf(current) !== textOf(existing)) {
+            Object.assign(existing, reviseComment(existing, textOf(existing), author));
           }
-
-          // If still no match, add as new
-          if (!existing) {
-            existingComments.push(current);
-            matchedExisting.add(current);
+          existing.text = current.text;
+          existing.block = current.block;
+          if (current.anchorText !== undefined) {
+            existing.anchorText = current.anchorText;
           }
         }
 
@@ -1512,73 +3447,30 @@ async function activate(context) {
         // SHARED MODE IN CLEAN: Track changes via text_cleanMode
         // ====================================================================
 
-        // Build map by text_cleanMode content for matching
-        const existingByTextCleanMode = new Map();
-        for (const existing of existingComments) {
-          if (existing.text_cleanMode) {
-            const textKey = typeof existing.text_cleanMode === 'string'
-              ? existing.text_cleanMode
-              : (Array.isArray(existing.text_cleanMode) ? existing.text_cleanMode.map(b => b.text).join('\n') : '');
-            if (textKey && !existingByTextCleanMode.has(textKey)) {
-              existingByTextCleanMode.set(textKey, existing);
-            }
-          }
-        }
-
-        // Track which existing comments we've matched
-        const matchedInCleanMode = new Set();
-
         // Process current comments (typed in clean mode)
         for (const current of currentComments) {
-          const key = `${current.type}:${current.anchor}:${current.prevHash || 'null'}:${current.nextHash || 'null'}`;
-          const currentText = current.text || (current.block ? current.block.map(b => b.text).join('\n') : '');
-          const textKey = `${current.type}:${currentText}`;
-
           // Skip if this comment belongs to the "other" VCM
-          if (otherKeys.has(key) || otherTexts.has(textKey)) {
+          if (otherIds.has(current.id)) {
             continue;
           }
 
-          // Also check by text in case anchor changed
-          // BUT: Only skip if this text matches other comment AND doesn't match any existing comment
-          const isOtherCommentText = otherTexts.has(textKey);
-          const isExistingCommentText = existingByTextCleanMode.has(currentText) ||
-                                        existingComments.some(ec => {
-                                          const ecText = ec.text || '';
-                                          return ecText === currentText;
-                                        });
-
-          if (isOtherCommentText && !isExistingCommentText) {
-            // This text only exists in other VCM, not in this one - skip it
-            continue;
-          }
-
-          // Process as a comment for this VCM
-          let existing = null;
-
-          // First, try to match by text_cleanMode content (handles anchor changes)
-          if (currentText && existingByTextCleanMode.has(currentText)) {
-            const candidate = existingByTextCleanMode.get(currentText);
-            if (!matchedInCleanMode.has(candidate)) {
-              existing = candidate;
-              matchedInCleanMode.add(existing);
-              // Update anchor to new position (comment moved with code)
+          const existing = existingById.get(current.id);
+          if (existing) {
+            // Same comment text: it moved with its code - update anchor to new position
+            if (showsOwnText(current, existing)) {
               existing.anchor = current.anchor;
               existing.prevHash = current.prevHash;
               existing.nextHash = current.nextHash;
+              existing.anchorText = current.anchorText;
+              existing.symbolPath = current.symbolPath;
             }
-          }
 
-          // If no text match, try anchor match (for VCM comments)
-          if (!existing) {
-            const candidates = existingByKey.get(key) || [];
-            if (candidates.length > 0 && !matchedInCleanMode.has(candidates[0])) {
-              existing = candidates[0];
-              matchedInCleanMode.add(existing);
+            // A different clean-mode text than last time is an edit
+            const previousText = commentBody(existing.text_cleanMode ?? (existing.type === "inline" ? existing.text : existing.block));
+            if (textOf(current) !== previousText) {
+              Object.assign(existing, reviseComment(existing, previousText, author));
             }
-          }
 
-          if (existing) {
             // Update text_cleanMode
             if (current.type === "inline") {
               if (current.text !== existing.text) {
@@ -1608,22 +3500,15 @@ async function activate(context) {
               delete newComment.block;
             }
             existingComments.push(newComment);
-            matchedInCleanMode.add(newComment);
           }
         }
 
         // Remove text_cleanMode from comments that were deleted in clean mode
+        const currentIds = new Set(currentComments.map(c => c.id));
         for (const existing of existingComments) {
-          if (existing.text_cleanMode) {
-            const key = `${existing.type}:${existing.anchor}`;
-            const stillExists = currentComments.some(c =>
-              `${c.type}:${c.anchor}` === key
-            );
-
-            if (!stillExists) {
-              // User deleted this comment in clean mode
-              existing.text_cleanMode = null;
-            }
+          if (existing.text_cleanMode && !currentIds.has(existing.id)) {
+            // User deleted this comment in clean mode
+            existing.text_cleanMode = null;
           }
         }
 
@@ -1634,6 +3519,22 @@ async function activate(context) {
     return finalComments;
   }
 
+  // Files whose saves are skipped because their private comments are locked (one warning on screen per file)
+  const lockedSaveWarnings = new Set();
+
+  function warnPrivateLocked(doc, relativePath) {
+    if (lockedSaveWarnings.has(doc.uri.fsPath)) return;
+    lockedSaveWarnings.add(doc.uri.fsPath);
+    vscode.window.showWarningMessage(
+      `VCM: The private comments of ${relativePath} are encrypted with a passphrase this machine doesn't know yet, so its comments are not being saved.`,
+      "Enter Passphrase"
+    ).then(async (choice) => {
+      lockedSaveWarnings.delete(doc.uri.fsPath);
+      if (choice !== "Enter Passphrase") return;
+      if (!(await loadAllComments(relativePath)).privateLocked) await saveVCM(doc);
+    });
+  }
+
   // ============================================================================
   // saveVCM()
   // ============================================================================
@@ -1654,6 +3555,9 @@ async function activate(context) {
     if (doc.uri.path.includes("/.vcm/")) return;
     if (doc.languageId === "json") return;
 
+    // Files outside the workspace folders (ex: left open after their folder was removed) have no .vcm to mirror into
+    if (vscode.workspace.workspaceFolders?.length && !vscode.workspace.getWorkspaceFolder(doc.uri)) return;
+
     // Check if we just injected comments from VCM
     // (this flag prevents re-extracting immediately after injection in clean mode)
     const wasJustInjected = justInjectedFromVCM.has(doc.uri.fsPath);
@@ -1663,10 +3567,20 @@ async function activate(context) {
 
     const text = doc.getText();
     const relativePath = vscode.workspace.asRelativePath(doc.uri);
-    const vcmFileUri = vscode.Uri.joinPath(vcmDir, relativePath + ".vcm.json");
 
     // Load existing VCM data from both shared and private files
-    const { sharedComments: existingComments, privateComments: existingPrivateComments } = await loadAllComments(relativePath);
+    // (saves can come from liveSync while typing - never ask for a passphrase here)
+    const { sharedComments: existingComments, privateComments: existingPrivateComments, newerSchema, privateLocked } =
+      await loadAllComments(relativePath, { unlock: false });
+
+    // Mirror written by a newer version of the extension - leave it alone (loadAllComments already warned)
+    if (newerSchema) return;
+
+    // Encrypted private comments this machine has no passphrase for - saving would drop them
+    if (privateLocked) {
+      warnPrivateLocked(doc, relativePath);
+      return;
+    }
 
     // Get the current mode from our state map
     // IMPORTANT: Once mode is set, it should NEVER change except via manual toggle or undo/redo
@@ -1675,14 +3589,14 @@ async function activate(context) {
     // If state is not set, initialize it by detecting the mode
     // This only happens on first open or after a restart
     if (isCommented === undefined) {
-      isCommented = await detectInitialMode(doc, vcmDir);
+      isCommented = await initialMode(doc);
       isCommentedMap.set(doc.uri.fsPath, isCommented);
     }
 
     // Initialize private comment visibility if not set
     // After initialization, state is managed by toggles and undo/redo detection (same as commented mode)
     if (!privateCommentsVisible.has(doc.uri.fsPath)) {
-      const privateVisible = await detectPrivateVisibility(doc, relativePath);
+      const privateVisible = await initialPrivateVisibility(doc);
       privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
     }
 
@@ -1694,13 +3608,17 @@ async function activate(context) {
     // This is critical for proper matching when private comments are visible in clean mode
     const isCleanMode = !isCommented;
     const allExistingComments = [...existingComments, ...existingPrivateComments];
-    const currentComments = extractComments(text, doc.uri.path, allExistingComments, isCleanMode, debugAnchorText);
+    const currentComments = extractComments(text, doc.uri.path, allExistingComments, isCleanMode, await getLineSymbols(doc));
+
+    // Give every comment in the document the id of the stored entry it is - the rest of the sync works by id
+    matchStoredComments(currentComments, allExistingComments);
 
     // ------------------------------------------------------------------------
     // Merge Strategy - Using processCommentSync for both shared and private
     // ------------------------------------------------------------------------
 
     // Process shared comments (these may include isPrivate flags in commented mode)
+    const author = await getCommentAuthor(relativePath);
     let finalComments = processCommentSync({
       isCommented,
       currentComments,
@@ -1708,6 +3626,7 @@ async function activate(context) {
       otherComments: existingPrivateComments,
       isPrivateMode: false,
       wasJustInjected,
+      author,
     });
 
     // Process private comments (updates anchors and content)
@@ -1718,6 +3637,7 @@ async function activate(context) {
       otherComments: existingComments,
       isPrivateMode: true,
       wasJustInjected,
+      author,
     });
 
     // ------------------------------------------------------------------------
@@ -1742,53 +3662,795 @@ async function activate(context) {
     // Save final comments, splitting into shared and private files
     // ------------------------------------------------------------------------
     // In commented mode: private comments are extracted and already in finalComments with isPrivate: true
-    // In clean mode: private comments were processed separately and updated in place (text-based matching)
+    // In clean mode: private comments were processed separately and updated in place (matched by id)
+
+    // Check which private comments are already in finalComments
+    // In commented mode: private comments were extracted and marked with isPrivate
+    // In clean mode: private comments were updated separately in place
+    const finalIds = new Set(finalComments.map(c => c.id));
+
+    // Add private comments that aren't already in finalComments
+    // (They might already be there if private comments were visible and got extracted)
+    const missingPrivateComments = existingPrivateComments
+      .filter(pc => !finalIds.has(pc.id))
+      .map(pc => ({ ...pc, isPrivate: true })); // Ensure isPrivate flag is set
+
+    const finalCommentsWithPrivate = [...finalComments, ...missingPrivateComments];
+    await saveCommentsToVCM(relativePath, finalCommentsWithPrivate);
+  }
+
+  // ---------------------------------------------------------------------------
+  // WATCHERS
+  // ---------------------------------------------------------------------------
+
+  // Watch for file saves and update .vcm files
+  // vcmSyncEnabled flag prevents infinite loops during toggles
+  const saveWatcher = vscode.workspace.onDidSaveTextDocument(async (doc) => {
+    if (!vcmSyncEnabled) return;  // Skip if we're in the middle of a toggle
+    // saveVCM() will check if file is in clean mode internally
+    await saveVCM(doc);
+  });
+  context.subscriptions.push(saveWatcher);
+
+  // Optional: Watch for file edits and auto-save .vcm after 2 seconds
+  // This provides real-time .vcm updates but can be disabled for performance
+  if (liveSync) {
+    let writeTimeout;
+    const changeWatcher = vscode.workspace.onDidChangeTextDocument((e) => {
+      if (!vcmSyncEnabled) return;
+      // saveVCM() will check if file is in clean mode internally
+      clearTimeout(writeTimeout);
+      writeTimeout = setTimeout(() => saveVCM(e.document), 2000);
+    });
+    context.subscriptions.push(changeWatcher);
+  }
+
+  // ---------------------------------------------------------------------------
+  // WATCHER: Git HEAD moves (checkout, pull, rebase) -> migrate anchors
+  // ---------------------------------------------------------------------------
+  // Those rewrite files outside the editor, so onDidSaveTextDocument never sees the change and anchors go stale.
+  // When HEAD moves, follow each changed file's diff and re-anchor its stored comments before anyone opens it.
+  // A layer whose .vcm.json changed in the same diff came with the commit and is already right for the new code.
+
+  // Git extension API (built into VS Code, but can be disabled)
+  async function getGitApi() {
+    const gitExtension = vscode.extensions.getExtension("vscode.git");
+    if (!gitExtension) return null;
+    try {
+      const gitExports = gitExtension.isActive ? gitExtension.exports : await gitExtension.activate();
+      return gitExports.getAPI(1);
+    } catch {
+      return null;
+    }
+  }
+
+  async function migrateAnchorsBetween(repository, oldRef, newRef) {
+    let changes;
+    try {
+      changes = await repository.diffBetween(oldRef, newRef);
+    } catch {
+      return; // Old commit no longer exists (garbage collected) - nothing to diff against
+    }
+
+    const changedPaths = new Set(changes.map(change => vscode.workspace.asRelativePath(change.uri)));
+    const mirrorChanged = async (layer, relativePath) =>
+      changedPaths.has(vscode.workspace.asRelativePath(await mirrorUri(layer, relativePath)));
+
+    let migratedComments = 0;
+    let migratedFiles = 0;
+    for (const change of changes) {
+      const relativePath = vscode.workspace.asRelativePath(change.uri);
+      if (change.uri.path.includes("/.vcm/")) continue;
+
+      // Leave files with unsaved edits alone - their next save re-extracts the comments anyway
+      const openDoc = vscode.workspace.textDocuments.find(d => d.uri.fsPath === change.uri.fsPath);
+      if (openDoc && openDoc.isDirty) continue;
+
+      const { sharedComments, privateComments } = await loadAllComments(relativePath, { unlock: false });
+      const layers = [];
+      for (const layer of [
+        { layer: "shared", comments: sharedComments },
+        { layer: "private", comments: privateComments.map(({ isPrivate, ...rest }) => rest) },
+      ]) {
+        if (layer.comments.length > 0 && !(await mirrorChanged(layer.layer, relativePath))) layers.push(layer);
+      }
+      if (layers.length === 0) continue;
+
+      // Added or deleted files have no old or new side to map between
+      let oldText, newText, diffText;
+      try {
+        oldText = await repository.show(oldRef, change.uri.fsPath);
+        newText = await repository.show(newRef, change.uri.fsPath);
+        diffText = await repository.diffBetween(oldRef, newRef, change.uri.fsPath);
+      } catch {
+        continue;
+      }
+
+      const lineMap = buildLineMap(diffText, oldText.split("\n").length);
+      let fileChanged = false;
+      for (const layer of layers) {
+        const { comments, changed } = migrateCommentAnchors(oldText, newText, lineMap, layer.comments, change.uri.path);
+        if (changed === 0) continue;
+        await writeVcmFile(layer.layer, relativePath, comments);
+        migratedComments += changed;
+        fileChanged = true;
+      }
+      if (fileChanged) migratedFiles++;
+    }
+
+    if (migratedComments > 0) {
+      vscode.window.showInformationMessage(`VCM: Updated ${migratedComments} comment anchor(s) in ${migratedFiles} file(s) to match the new HEAD`);
+    }
+  }
+
+  // The user's own commit: the new HEAD sits right on top of the old one and only records files that already had
+  // uncommitted changes, so nothing on disk moved and the anchors are already right (git won't pull over such files)
+  async function isLocalCommit(repository, oldRef, newRef, dirtyBefore) {
+    try {
+      const commit = await repository.getCommit(newRef);
+      if (!commit.parents || commit.parents[0] !== oldRef) return false;
+      const changes = await repository.diffBetween(oldRef, newRef);
+      return changes.every(change => dirtyBefore.has(change.uri.fsPath) || dirtyBefore.has(change.originalUri?.fsPath));
+    } catch {
+      return false; // Can't tell - migrating is the safe side
+    }
+  }
+
+  // One migration at a time - a rebase moves HEAD many times in a row
+  let anchorMigrationQueue = Promise.resolve();
+
+  function watchRepository(repository) {
+    // The last HEAD is remembered across sessions, so a pull made while VS Code was closed is caught on startup
+    const stateKey = `vcm.lastHead:${repository.rootUri.fsPath}`;
+
+    // Files with uncommitted changes as of the previous state change (see isLocalCommit)
+    const uncommittedPaths = () => new Set(
+      [repository.state.workingTreeChanges, repository.state.indexChanges, repository.state.untrackedChanges]
+        .flatMap(changes => changes || [])
+        .map(change => change.uri.fsPath)
+    );
+    let dirtyPaths = uncommittedPaths();
+
+    const checkHead = () => {
+      const head = repository.state.HEAD?.commit;
+      const previous = context.workspaceState.get(stateKey);
+      const dirtyBefore = dirtyPaths;
+      dirtyPaths = uncommittedPaths();
+      if (!head || head === previous) return;
+      context.workspaceState.update(stateKey, head);
+      if (previous) {
+        anchorMigrationQueue = anchorMigrationQueue
+          .then(async () => {
+            if (await isLocalCommit(repository, previous, head, dirtyBefore)) return;
+            await migrateAnchorsBetween(repository, previous, head);
+          })
+          .catch(() => {}); // Never let one failed migration block the next
+      }
+    };
+    context.subscriptions.push(repository.state.onDidChange(checkHead));
+    checkHead();
+  }
+
+  getGitApi().then(gitApi => {
+    if (!gitApi) return;
+    gitApi.repositories.forEach(watchRepository);
+    context.subscriptions.push(gitApi.onDidOpenRepository(watchRepository));
+  });
+
+  // ---------------------------------------------------------------------------
+  // Per-file mode across sessions
+  // ---------------------------------------------------------------------------
+  // isCommentedMap and privateCommentsVisible only live for the session. Every save and every switch records them in
+  // workspaceState together with a fingerprint of the text. A file opened later with exactly that text gets its recorded state
+  // back; detectInitialMode / detectPrivateVisibility (which guess from the stored comments) are only used when it changed.
+  // A guessed state is not recorded, and a switch won't save the file in it first (see switchDocumentMode) - guessing a
+  // clean file as commented and saving it would drop every hidden comment. inferredStateFiles holds those files.
+  const fileStatePrefix = "vcm.fileState:";
+  const fingerprint = (text) => crypto.createHash("sha1").update(text).digest("hex");
+  const inferredStateFiles = new Set();
+
+  // text → what the document holds in that state (a switch records the text it is about to apply)
+  function recordFileState(doc, text = doc.getText()) {
+    if (doc.uri.scheme !== "file" || !isCommentedMap.has(doc.uri.fsPath) || inferredStateFiles.has(doc.uri.fsPath)) return;
+    context.workspaceState.update(fileStatePrefix + doc.uri.fsPath, {
+      commented: isCommentedMap.get(doc.uri.fsPath) === true,
+      privateVisible: privateCommentsVisible.get(doc.uri.fsPath) === true,
+      fingerprint: fingerprint(text),
+    });
+  }
+  context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(recordFileState));
+
+  // The recorded state of a document, or null when its text is not the text it was recorded with
+  function recordedFileState(doc) {
+    const state = context.workspaceState.get(fileStatePrefix + doc.uri.fsPath);
+    return state && state.fingerprint === fingerprint(doc.getText()) ? state : null;
+  }
+
+  // Guess a document's mode and private comment visibility from its text and its stored comments
+  // (never asks for the passphrase - encrypted private comments count as hidden)
+  async function detectDocumentState(doc) {
+    const stored = await loadAllComments(vscode.workspace.asRelativePath(doc.uri), { unlock: false });
+    return {
+      commented: detectInitialMode(doc.getText(), doc.uri.path, stored),
+      privateVisible: detectPrivateVisibility(doc.getText(), doc.uri.path, stored),
+    };
+  }
+
+  // A switch sets the state for certain: stop treating it as guessed, and record it with the text it applies
+  function confirmFileState(doc, text) {
+    inferredStateFiles.delete(doc.uri.fsPath);
+    recordFileState(doc, text);
+  }
+
+  // Mode of a document with no state this session: recorded, else guessed
+  async function initialMode(doc) {
+    const state = recordedFileState(doc);
+    if (state) return state.commented;
+    inferredStateFiles.add(doc.uri.fsPath);
+    return (await detectDocumentState(doc)).commented;
+  }
+
+  // Private comment visibility of a document with no state this session: recorded, else guessed
+  async function initialPrivateVisibility(doc) {
+    const state = recordedFileState(doc);
+    if (state) return state.privateVisible;
+    inferredStateFiles.add(doc.uri.fsPath);
+    return (await detectDocumentState(doc)).privateVisible;
+  }
+
+  // Recorded states at or below a path (a file, or a folder and everything in it) - movePath(fsPath) gives the new
+  // path of each one, or null to drop it
+  async function moveFileStates(fsPath, movePath) {
+    for (const key of context.workspaceState.keys()) {
+      if (!key.startsWith(fileStatePrefix)) continue;
+      const keyPath = key.slice(fileStatePrefix.length);
+      if (keyPath !== fsPath && !keyPath.startsWith(fsPath + path.sep)) continue;
+
+      const state = context.workspaceState.get(key);
+      const newPath = movePath(keyPath);
+      await context.workspaceState.update(key, undefined);
+      if (newPath) await context.workspaceState.update(fileStatePrefix + newPath, state);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // WATCHER: File renames and moves -> move the .vcm mirrors with them
+  // ---------------------------------------------------------------------------
+  // Mirrors are keyed by relative path, so a renamed file would strand its comments under the old name.
+  // Renames made in VS Code (explorer, refactorings) arrive through onDidRenameFiles.
+  // Renames made outside it (git mv, mv in a terminal) only show up as a delete + create pair on a file watcher.
+
+  // Files and folders whose mirrors we follow (not the mirrors themselves, nor git internals or dependencies)
+  const isMirroredPath = (uri) => uri.scheme === "file" &&
+    !!vscode.workspace.getWorkspaceFolder(uri) &&
+    !/\/(?:\.vcm|\.git|node_modules)(?:\/|$)/.test(uri.path);
+
+  // What a relative path has in a layer: "file" (<path>.vcm.json), "folder" (<path>/ with mirrors inside) or null
+  async function mirrorKind(layer, relativePath) {
+    const { storage, folderPath } = await storageOf(layer, relativePath);
+    return storage.kind(folderPath);
+  }
+
+  // Point the "file" field of every mirror at or below targetUri to its new path (inside its workspace folder)
+  async function updateMirrorFileFields(targetUri, relativePath, isFolder) {
+    if (isFolder) {
+      for (const [name, type] of await vscode.workspace.fs.readDirectory(targetUri)) {
+        const childUri = vscode.Uri.joinPath(targetUri, name);
+        if (type & vscode.FileType.Directory) {
+          await updateMirrorFileFields(childUri, `${relativePath}/${name}`, true);
+        } else if (name.endsWith(".vcm.json")) {
+          await updateMirrorFileFields(childUri, `${relativePath}/${name.slice(0, -".vcm.json".length)}`, false);
+        }
+      }
+      return;
+    }
+
+    try {
+      // Read inside the queued job, so a write already queued for this mirror is not overwritten with older content
+      await queueVcmWrite(targetUri.fsPath, async () => {
+        const data = JSON.parse((await vscode.workspace.fs.readFile(targetUri)).toString());
+        data.file = relativePath;
+        await writeFileAtomic(targetUri, Buffer.from(JSON.stringify(data, null, 2), "utf8"));
+      });
+    } catch {
+      // Unreadable mirror - moved as-is
+    }
+  }
+
+  // Move the shared and private mirrors of a renamed file or folder
+  // Returns true when at least one mirror was moved
+  async function moveMirrors(oldUri, newUri) {
+    if (!isMirroredPath(oldUri) || !isMirroredPath(newUri)) return false;
+    const oldRelativePath = vscode.workspace.asRelativePath(oldUri);
+    const newRelativePath = vscode.workspace.asRelativePath(newUri);
+    if (oldRelativePath === newRelativePath) return false;
+
+    let moved = false;
+    for (const layer of vcmLayers) {
+      const kind = await mirrorKind(layer, oldRelativePath);
+      if (!kind) continue;
+
+      // Moving into another workspace folder moves the mirrors to that folder's .vcm
+      const suffix = kind === "file" ? ".vcm.json" : "";
+      const fromUri = await mirrorUri(layer, oldRelativePath, suffix);
+      const toUri = await mirrorUri(layer, newRelativePath, suffix);
+
+      // Never overwrite comments that already belong to the new path
+      if (await mirrorKind(layer, newRelativePath) === kind) {
+        vscode.window.showWarningMessage(`VCM: ${newRelativePath} already has comments in .vcm - kept the comments of ${oldRelativePath} under the old name.`);
+        continue;
+      }
+
+      await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(toUri, "..")).catch(() => {});
+      await vscode.workspace.fs.rename(fromUri, toUri, { overwrite: false });
+      await updateMirrorFileFields(toUri, resolveWorkspacePath(newRelativePath).path, kind === "folder");
+      moved = true;
+
+      // Its backups move along (.backup/<layer>/<path>/, one folder per file), or "Restore from Backup" loses them
+      const from = await storageOf(layer, oldRelativePath);
+      const to = await storageOf(layer, newRelativePath);
+      const fromBackups = vscode.Uri.joinPath(layerBackupUri(from.storage), from.folderPath);
+      if ((await vscode.workspace.fs.readDirectory(fromBackups).catch(() => [])).length > 0) {
+        await mergeFolderInto(fromBackups, vscode.Uri.joinPath(layerBackupUri(to.storage), to.folderPath));
+      }
+    }
+
+    // Per-file mode state moves with the file (for a folder, with every file below it)
+    const oldFsPath = oldUri.fsPath;
+    const newFsPath = newUri.fsPath;
+    const movePath = (key) => (key === oldFsPath || key.startsWith(oldFsPath + path.sep) ? newFsPath + key.slice(oldFsPath.length) : null);
+    for (const stateMap of [isCommentedMap, privateCommentsVisible]) {
+      for (const [key, value] of [...stateMap]) {
+        const newKey = movePath(key);
+        if (newKey) {
+          stateMap.delete(key);
+          stateMap.set(newKey, value);
+        }
+      }
+    }
+    await moveFileStates(oldFsPath, movePath);
+
+    return moved;
+  }
+
+  context.subscriptions.push(
+    vscode.workspace.onDidRenameFiles(async (e) => {
+      for (const { oldUri, newUri } of e.files) {
+        try {
+          await moveMirrors(oldUri, newUri);
+        } catch (err) {
+          vscode.window.showWarningMessage(`VCM: Could not move the comments of ${vscode.workspace.asRelativePath(oldUri)} - ${err.message}`);
+        }
+      }
+    })
+  );
+
+  // Renames outside VS Code: collect deletes and creates for a moment, then pair them up
+  const recentlyDeleted = [];
+  const recentlyCreated = [];
+  let pairMovesTimeout;
+  const schedulePairMoves = () => {
+    clearTimeout(pairMovesTimeout);
+    pairMovesTimeout = setTimeout(() => pairMovedFiles().catch(() => {}), 1000);
+  };
+
+  // Share of a stranded mirror's anchors found in a created file - tells which deleted file it came from
+  // Runs from a file watcher, so encrypted private comments are left out rather than asking for the passphrase
+  async function storedAnchorOverlap(relativePath, uri) {
+    const { allComments } = await loadAllComments(relativePath, { unlock: false });
+    try {
+      return anchorOverlap(allComments, (await vscode.workspace.fs.readFile(uri)).toString(), uri.path);
+    } catch {
+      return 0;
+    }
+  }
+
+  // Restore the newest archive of each created path that has no comments of its own
+  async function restoreReturningFiles(createdUris) {
+    const archives = await listArchivedMirrors();
+    if (archives.length === 0) return;
+
+    for (const uri of createdUris) {
+      const relativePath = vscode.workspace.asRelativePath(uri);
+      const archive = archives.find(a => a.path === relativePath);
+      if (!archive) continue;
+      if ((await mirrorKind("shared", relativePath)) || (await mirrorKind("private", relativePath))) continue;
+
+      try {
+        if (await restoreArchivedMirrors(archive, relativePath, false)) {
+          archives.splice(archives.indexOf(archive), 1);
+          vscode.window.showInformationMessage(`VCM: ${relativePath} is back - restored its comments from .vcm/.trash ♻️`);
+        }
+      } catch {
+        // Archive left in .vcm/.trash - the restore command reports why
+      }
+    }
+  }
+
+  async function pairMovedFiles() {
+    const deleted = recentlyDeleted.splice(0);
+    const created = recentlyCreated.splice(0);
+
+    // Deletions whose mirrors are still in place (onDidRenameFiles has already moved the explorer's own renames)
+    const strandedMirrors = [];
+    for (const uri of deleted) {
+      const relativePath = vscode.workspace.asRelativePath(uri);
+      const kind = (await mirrorKind("shared", relativePath)) || (await mirrorKind("private", relativePath));
+      if (kind) strandedMirrors.push({ uri, relativePath, kind });
+    }
+
+    // A file coming back at its old path (undo, branch switch back) gets its archived comments back
+    if (strandedMirrors.length === 0) {
+      await restoreReturningFiles(created);
+      return;
+    }
+
+    for (const uri of created) {
+      const relativePath = vscode.workspace.asRelativePath(uri);
+      if ((await mirrorKind("shared", relativePath)) || (await mirrorKind("private", relativePath))) continue;
+
+      let stat;
+      try {
+        stat = await vscode.workspace.fs.stat(uri);
+      } catch {
+        continue; // Already gone again (temp file)
+      }
+      const kind = stat.type & vscode.FileType.Directory ? "folder" : "file";
+
+      const candidates = [];
+      for (const stranded of strandedMirrors.filter(m => m.kind === kind)) {
+        const overlap = kind === "file" ? await storedAnchorOverlap(stranded.relativePath, uri) : 0;
+        candidates.push({ path: stranded.uri.path, overlap, stranded });
+      }
+      const source = pickRenameSource(uri.path, candidates);
+      if (!source) continue;
+
+      if (await moveMirrors(source.stranded.uri, uri)) {
+        strandedMirrors.splice(strandedMirrors.indexOf(source.stranded), 1);
+        vscode.window.showInformationMessage(`VCM: Moved comments from ${source.stranded.relativePath} to ${relativePath}`);
+      }
+    }
+
+    await restoreReturningFiles(created);
+
+    // No create matched: the file is really gone (git rm, branch switch, rm) - archive its comments
+    for (const stranded of strandedMirrors) {
+      try {
+        await vscode.workspace.fs.stat(stranded.uri);
+        continue; // Recreated in place (editors that save by delete + create)
+      } catch {
+        await archiveMirrors(stranded.relativePath);
+      }
+    }
+  }
+
+  const renameWatcher = vscode.workspace.createFileSystemWatcher("**/*", false, true, false);
+  renameWatcher.onDidDelete((uri) => {
+    if (!isMirroredPath(uri)) return;
+    recentlyDeleted.push(uri);
+    schedulePairMoves();
+  });
+  renameWatcher.onDidCreate((uri) => {
+    if (!isMirroredPath(uri)) return;
+    recentlyCreated.push(uri);
+    schedulePairMoves();
+  });
+  context.subscriptions.push(renameWatcher);
+
+  // ---------------------------------------------------------------------------
+  // Deleted files -> archive their mirrors in .vcm/.trash
+  // ---------------------------------------------------------------------------
+  // Each deletion gets its own folder in the trash of the layer's storage (.vcm/.trash by default): .trash/<timestamp>-<id>/
+  //   deleted.json                   → { path (inside the workspace folder), kind: "file" | "folder", deletedAt }
+  //   shared/<path>.vcm.json         → the shared mirror (or shared/<path>/ for a folder)
+  //   private/<path>.vcm.json        → the private mirror
+  // Layers kept in different storages archive into a folder of the same name in each.
+  // "VCM: Restore Comments for Deleted File" re-links an archive to any path; a file restored at its old path
+  // (undo, git checkout) gets its comments back automatically.
+
+  // Move the mirrors of a deleted file or folder into the trash. Returns true when something was archived.
+  async function archiveMirrors(relativePath) {
+    const archiveId = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`;
+
+    let archivedKind = null;
+    const archiveUris = new Map(); // uri string → uri, one per storage used
+    for (const layer of vcmLayers) {
+      const { storage, folderPath } = await storageOf(layer, relativePath);
+      const kind = await storage.kind(folderPath);
+      if (!kind) continue;
+
+      const archiveUri = vscode.Uri.joinPath(storage.baseDir, ".trash", archiveId);
+      const suffix = kind === "file" ? ".vcm.json" : "";
+      const toUri = vscode.Uri.joinPath(archiveUri, layer, folderPath + suffix);
+      await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(toUri, "..")).catch(() => {});
+      await vscode.workspace.fs.rename(storage.uri(folderPath, suffix), toUri, { overwrite: false });
+      await warnIfPrivateCopyTracked(storage, storage.uri(folderPath, suffix), toUri);
+      archiveUris.set(archiveUri.toString(), archiveUri);
+      archivedKind = kind;
+    }
+    if (!archivedKind) return false;
+
+    const manifest = { path: resolveWorkspacePath(relativePath).path, kind: archivedKind, deletedAt: new Date().toISOString() };
+    for (const archiveUri of archiveUris.values()) {
+      await vscode.workspace.fs.writeFile(
+        vscode.Uri.joinPath(archiveUri, "deleted.json"),
+        Buffer.from(JSON.stringify(manifest, null, 2), "utf8")
+      );
+    }
+    return true;
+  }
+
+  // Every archive in the trash of every workspace folder, newest first: [{ uris, path, folderPath, kind, deletedAt }]
+  // path is the workspace path the archive was deleted from, folderPath the same path inside its folder,
+  // uris the archive's folder in each storage that holds part of it
+  async function listArchivedMirrors() {
+    const archives = new Map(); // "<folder>|<archive id>" → archive
+    const seenTrashDirs = new Set();
+    for (const { folderUri, storage } of await allStorages()) {
+      const trashDir = vscode.Uri.joinPath(storage.baseDir, ".trash");
+      if (seenTrashDirs.has(trashDir.toString())) continue; // Both layers in the same storage
+      seenTrashDirs.add(trashDir.toString());
+
+      let entries;
+      try {
+        entries = await vscode.workspace.fs.readDirectory(trashDir);
+      } catch {
+        continue; // Nothing deleted here yet
+      }
+
+      for (const [name, type] of entries) {
+        if (!(type & vscode.FileType.Directory)) continue;
+        const uri = vscode.Uri.joinPath(trashDir, name);
+        const key = `${folderUri.toString()}|${name}`;
+        if (archives.has(key)) {
+          archives.get(key).uris.push(uri);
+          continue;
+        }
+        try {
+          const manifest = JSON.parse((await vscode.workspace.fs.readFile(vscode.Uri.joinPath(uri, "deleted.json"))).toString());
+          archives.set(key, { uris: [uri], ...manifest, path: workspacePathOf(folderUri, manifest.path), folderPath: manifest.path });
+        } catch {
+          // Not an archive (or a damaged one) - leave it alone
+        }
+      }
+    }
+    return [...archives.values()].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  // Move an archive's mirrors to relativePath and remove it from the trash
+  // A file that already has comments gets the archived ones appended (they re-anchor or show up as orphaned)
+  // interactive: false (file watchers) never asks for the passphrase - private comments that would have to be
+  // decrypted to merge them throw instead, and the archive stays in the trash
+  async function restoreArchivedMirrors(archive, relativePath, interactive = true) {
+    const suffix = archive.kind === "file" ? ".vcm.json" : "";
+
+    // Refuse before moving anything, so a layer is never restored without the other
+    if (!interactive && archive.kind === "file" && await vcmFileExists("private", relativePath)) {
+      throw new Error("the private comments would have to be merged - restore them with the command");
+    }
+
+    // A folder can't be merged entry by entry - refuse before moving anything
+    if (archive.kind === "folder") {
+      for (const layer of vcmLayers) {
+        if (await mirrorKind(layer, relativePath)) {
+          vscode.window.showErrorMessage(`VCM: ${relativePath} already has comments in .vcm - restore the folder to another path.`);
+          return false;
+        }
+      }
+    }
+
+    for (const layer of vcmLayers) {
+      let fromUri = null;
+      for (const uri of archive.uris) {
+        try {
+          await vscode.workspace.fs.stat(vscode.Uri.joinPath(uri, layer, archive.folderPath + suffix));
+          fromUri = vscode.Uri.joinPath(uri, layer, archive.folderPath + suffix);
+        } catch {
+          // Not in this part of the archive
+        }
+      }
+      if (!fromUri) continue; // This layer had no comments
+
+      if (archive.kind === "file" && await vcmFileExists(layer, relativePath)) {
+        const existing = await readVcmFile(layer, relativePath, interactive);
+        const archivedData = await decodeVcmData(await vscode.workspace.fs.readFile(fromUri), interactive);
+        if (archivedData.locked) {
+          throw new Error("the archived private comments are encrypted and no passphrase was entered");
+        }
+        const archived = migrateVcmComments(archivedData);
+        if (archived === null) {
+          throw new Error("the archived comments were saved by a newer version of VCM");
+        }
+        await writeVcmFile(layer, relativePath, [...existing.comments, ...archived]);
+        continue;
+      }
+
+      const toUri = await mirrorUri(layer, relativePath, suffix);
+      await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(toUri, "..")).catch(() => {});
+      await vscode.workspace.fs.rename(fromUri, toUri, { overwrite: false });
+      await updateMirrorFileFields(toUri, resolveWorkspacePath(relativePath).path, archive.kind === "folder");
+    }
+
+    for (const uri of archive.uris) {
+      await vscode.workspace.fs.delete(uri, { recursive: true });
+    }
+    return true;
+  }
+
+  // Deletions made in VS Code (explorer, refactorings)
+  // Deletions made outside it are archived by pairMovedFiles() once no matching create shows up
+  context.subscriptions.push(
+    vscode.workspace.onDidDeleteFiles(async (e) => {
+      for (const uri of e.files) {
+        if (isMirroredPath(uri)) {
+          await archiveMirrors(vscode.workspace.asRelativePath(uri));
+          await moveFileStates(uri.fsPath, () => null);
+        }
+      }
+    })
+  );
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Restore Comments for Deleted File
+  // ---------------------------------------------------------------------------
+  const restoreDeletedComments = vscode.commands.registerCommand("vcm-view-comments-mirror.restoreDeletedComments", async () => {
+    const archives = await listArchivedMirrors();
+    if (archives.length === 0) {
+      vscode.window.showInformationMessage("VCM: No comments from deleted files in .vcm/.trash.");
+      return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+      archives.map(archive => ({
+        label: archive.path,
+        description: `${archive.kind === "folder" ? "folder, " : ""}deleted ${new Date(archive.deletedAt).toLocaleString()}`,
+        archive,
+      })),
+      { placeHolder: "Restore comments of which deleted file?" }
+    );
+    if (!picked) return;
+
+    // Default to the old path, or to the open file when it has no comments of its own yet
+    let suggestedPath = picked.archive.path;
+    const editor = vscode.window.activeTextEditor;
+    if (picked.archive.kind === "file" && editor && editor.document.uri.scheme === "file") {
+      const openPath = vscode.workspace.asRelativePath(editor.document.uri);
+      if (!(await vcmFileExists("shared", openPath)) && !(await vcmFileExists("private", openPath))) {
+        suggestedPath = openPath;
+      }
+    }
+
+    const targetPath = await vscode.window.showInputBox({
+      prompt: `Attach the comments of ${picked.archive.path} to which path? (relative to the workspace)`,
+      value: suggestedPath,
+      validateInput: (value) => (value.trim() ? null : "Enter a path"),
+    });
+    if (!targetPath) return;
+
+    const relativePath = targetPath.trim().replace(/\\/g, "/").replace(/^\.?\//, "");
+    try {
+      if (await restoreArchivedMirrors(picked.archive, relativePath)) {
+        vscode.window.showInformationMessage(`VCM: Restored comments of ${picked.archive.path} to ${relativePath} ♻️`);
+      }
+    } catch (err) {
+      vscode.window.showErrorMessage("VCM: Could not restore comments: " + err.message);
+    }
+  });
+  context.subscriptions.push(restoreDeletedComments);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Restore From Backup
+  // ---------------------------------------------------------------------------
+  // Every backup of every workspace folder and layer (.vcm/.backup by default): [{ uri, layer, relativePath, name }]
+  // (name is "<timestamp>.vcm.json", relativePath the workspace path of the backed up file)
+  async function listVcmBackups() {
+    const backups = [];
+    const walk = async (dirUri, folderUri, layer, folderPath) => {
+      let entries;
+      try {
+        entries = await vscode.workspace.fs.readDirectory(dirUri);
+      } catch {
+        return;
+      }
+      for (const [name, type] of entries) {
+        const uri = vscode.Uri.joinPath(dirUri, name);
+        if (type & vscode.FileType.Directory) {
+          await walk(uri, folderUri, layer, folderPath ? `${folderPath}/${name}` : name);
+        } else if (folderPath && name.endsWith(".vcm.json")) {
+          backups.push({ uri, layer, relativePath: workspacePathOf(folderUri, folderPath), name });
+        }
+      }
+    };
+    for (const { folderUri, storage } of await allStorages()) {
+      await walk(vscode.Uri.joinPath(storage.baseDir, ".backup", storage.layer), folderUri, storage.layer, "");
+    }
+    return backups;
+  }
+
+  // "2026-01-02T03-04-05-678Z.vcm.json" -> Date
+  const backupDate = (name) =>
+    new Date(name.slice(0, -".vcm.json".length).replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, "T$1:$2:$3.$4Z"));
+
+  const restoreFromBackup = vscode.commands.registerCommand("vcm-view-comments-mirror.restoreFromBackup", async () => {
+    const backups = await listVcmBackups();
+    if (backups.length === 0) {
+      vscode.window.showInformationMessage("VCM: No backups in .vcm/.backup yet.");
+      return;
+    }
 
-    // Check which private comments are already in finalComments (using text+anchor+type as key)
-    // In commented mode: private comments were extracted and marked with isPrivate
-    // In clean mode: private comments were updated separately via text-based matching
-    const finalCommentsSet = new Set(finalComments.map(c => {
-      const text = c.text || (c.block ? c.block.map(b => b.text).join('\n') : '');
-      return `${c.type}:${c.anchor}:${text}`;
-    }));
+    // Pick the file (the open one first), then one of its backups (newest first)
+    const editor = vscode.window.activeTextEditor;
+    const openPath = editor && editor.document.uri.scheme === "file" ? vscode.workspace.asRelativePath(editor.document.uri) : null;
+    const paths = [...new Set(backups.map(b => b.relativePath))]
+      .sort((a, b) => (b === openPath) - (a === openPath) || a.localeCompare(b));
+    const pickedPath = paths.length === 1 ? { label: paths[0] } : await vscode.window.showQuickPick(
+      paths.map(p => ({ label: p, description: p === openPath ? "open file" : undefined })),
+      { placeHolder: "Restore the comments of which file?" }
+    );
+    if (!pickedPath) return;
+
+    const items = [];
+    for (const backup of backups.filter(b => b.relativePath === pickedPath.label)) {
+      let detail;
+      try {
+        const data = await decodeVcmData(await vscode.workspace.fs.readFile(backup.uri), false);
+        const count = data.comments.length;
+        detail = data.locked ? "encrypted" : `${count} comment${count === 1 ? "" : "s"}`;
+      } catch {
+        detail = "unreadable";
+      }
+      items.push({ label: backupDate(backup.name).toLocaleString(), description: backup.layer, detail, backup });
+    }
+    items.sort((a, b) => b.backup.name.localeCompare(a.backup.name));
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: `Restore which backup of ${pickedPath.label}?` });
+    if (!picked) return;
 
-    // Add private comments that aren't already in finalComments
-    // (They might already be there if private comments were visible and got extracted)
-    const missingPrivateComments = existingPrivateComments.filter(pc => {
-      const text = pc.text || (pc.block ? pc.block.map(b => b.text).join('\n') : '');
-      const key = `${pc.type}:${pc.anchor}:${text}`;
-      return !finalCommentsSet.has(key);
-    }).map(pc => ({ ...pc, isPrivate: true })); // Ensure isPrivate flag is set
+    const { backup } = picked;
+    try {
+      const data = await decodeVcmData(await vscode.workspace.fs.readFile(backup.uri));
+      if (data.locked) {
+        throw new Error("the backup is encrypted and no passphrase was entered");
+      }
+      const comments = migrateVcmComments(data);
+      if (comments === null) {
+        throw new Error("the backup was saved by a newer version of VCM");
+      }
 
-    const finalCommentsWithPrivate = [...finalComments, ...missingPrivateComments];
-    await saveCommentsToVCM(relativePath, finalCommentsWithPrivate);
-  }
+      // An open file in commented mode holds the comments being replaced: switch it to clean mode first,
+      // so its next save doesn't write them back, and show the restored ones again afterwards
+      const doc = vscode.workspace.textDocuments.find(d => d.uri.scheme === "file" && vscode.workspace.asRelativePath(d.uri) === backup.relativePath);
+      const reshow = doc && isCommentedMap.get(doc.uri.fsPath) === true;
+      if (reshow) {
+        await vscode.window.showTextDocument(doc);
+        await vscode.commands.executeCommand("vcm-view-comments-mirror.toggleCurrentFileComments");
+      }
 
-  // ---------------------------------------------------------------------------
-  // WATCHERS
-  // ---------------------------------------------------------------------------
+      // The mirror being replaced is itself backed up, so a restore can be undone the same way
+      await writeVcmFile(backup.layer, backup.relativePath, comments);
 
-  // Watch for file saves and update .vcm files
-  // vcmSyncEnabled flag prevents infinite loops during toggles
-  const saveWatcher = vscode.workspace.onDidSaveTextDocument(async (doc) => {
-    if (!vcmSyncEnabled) return;  // Skip if we're in the middle of a toggle
-    // saveVCM() will check if file is in clean mode internally
-    await saveVCM(doc);
+      if (reshow) {
+        await vscode.commands.executeCommand("vcm-view-comments-mirror.toggleCurrentFileComments");
+      }
+      vscode.window.showInformationMessage(`VCM: Restored the ${backup.layer} comments of ${backup.relativePath} from ${picked.label} ⏪`);
+    } catch (err) {
+      vscode.window.showErrorMessage("VCM: Could not restore backup: " + err.message);
+    }
   });
-  context.subscriptions.push(saveWatcher);
+  context.subscriptions.push(restoreFromBackup);
 
-  // Optional: Watch for file edits and auto-save .vcm after 2 seconds
-  // This provides real-time .vcm updates but can be disabled for performance
-  if (liveSync) {
-    let writeTimeout;
-    const changeWatcher = vscode.workspace.onDidChangeTextDocument((e) => {
-      if (!vcmSyncEnabled) return;
-      // saveVCM() will check if file is in clean mode internally
-      clearTimeout(writeTimeout);
-      writeTimeout = setTimeout(() => saveVCM(e.document), 2000);
+  // ---------------------------------------------------------------------------
+  // COMMAND: Forget Private Comments Passphrase
+  // ---------------------------------------------------------------------------
+  // Drops the keys cached on this machine - encrypted private comments stay locked until the passphrase is entered again,
+  // and the next encrypted save asks for a (possibly new) passphrase
+  const forgetPrivatePassphrase = vscode.commands.registerCommand("vcm-view-comments-mirror.forgetPrivatePassphrase", async () => {
+    await queuePassphrasePrompt(async () => {
+      await context.secrets.delete(privateKeysSecret);
+      privateKeys = null;
     });
-    context.subscriptions.push(changeWatcher);
-  }
+    vscode.window.showInformationMessage("VCM: Forgot the passphrase of your private comments on this machine");
+  });
+  context.subscriptions.push(forgetPrivatePassphrase);
 
   // ---------------------------------------------------------------------------
   // Helper: Generate commented version (for toggle and split view)
@@ -1822,7 +4484,9 @@ async function activate(context) {
       // Strip ALL comments from source (both shared and private) before injecting
       // We want a clean slate, then inject only what's needed based on includePrivate
       const cleanText = stripComments(text, filePath, allComments, false, true);
-      return injectComments(cleanText, allComments, includePrivate);
+      const doc = vscode.workspace.textDocuments.find(d => d.uri.path === filePath);
+      const lineSymbols = doc ? await getLineSymbols(doc, cleanText) : null;
+      return injectComments(cleanText, allComments, includePrivate, filePath, null, lineSymbols);
     } catch {
       // No .vcm file exists
       return text;
@@ -1862,7 +4526,8 @@ async function activate(context) {
         // Only detect mode on undo/redo/paste (might have changed modes)
         // For normal typing, use stored mode (typing in clean mode stays in clean mode)
         if (isUndoRedo) {
-          actualMode = await detectInitialMode(doc, vcmDir);
+          const detected = await detectDocumentState(doc);
+          actualMode = detected.commented;
           if (storedMode !== actualMode) {
             isCommentedMap.set(doc.uri.fsPath, actualMode);
           } else {
@@ -1870,7 +4535,7 @@ async function activate(context) {
           }
 
           // Also detect private visibility on undo/redo
-          const actualPrivateVisibility = await detectPrivateVisibility(doc, relativePath);
+          const actualPrivateVisibility = detected.privateVisible;
           const storedPrivateVisibility = privateCommentsVisible.get(doc.uri.fsPath);
           if (storedPrivateVisibility !== actualPrivateVisibility) {
             privateCommentsVisible.set(doc.uri.fsPath, actualPrivateVisibility);
@@ -1949,175 +4614,766 @@ async function activate(context) {
       // Source document was closed - close the split view too
       closeSplitView();
     }
-  });
-  context.subscriptions.push(closeWatcher);
+  });
+  context.subscriptions.push(closeWatcher);
+
+  // Monitor visible editors - close split view if source is no longer visible
+  const visibleEditorsWatcher = vscode.window.onDidChangeVisibleTextEditors((editors) => {
+    // If we have a split view open, check if source is still visible
+    if (sourceDocUri && tempUri) {
+      const sourceVisible = editors.some(e => e.document.uri.toString() === sourceDocUri.toString());
+      if (!sourceVisible) {
+        // Source is no longer visible - close the split view
+        closeSplitView();
+      }
+    }
+  });
+  context.subscriptions.push(visibleEditorsWatcher);
+
+  // ---------------------------------------------------------------------------
+  // Helper: Switch a document between commented and clean mode
+  // ---------------------------------------------------------------------------
+  // Works out the document's text in the other mode and updates its .vcm files and mode state to match.
+  // The caller applies the text. Used by the single-file and the repo-wide toggles.
+  // confirmLowConfidence(report) decides whether comments that only loosely match edited code are re-attached.
+  // A file whose mode was only guessed is never saved in that mode first: it is switched only when every comment
+  // in it is already stored, and throws otherwise.
+  // Returns { newText, commented, created, report } - report (orphaned, reanchored) only when switching to commented mode.
+  async function switchDocumentMode(doc, confirmLowConfidence) {
+    const text = doc.getText();
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    const vcmFileUri = await mirrorUri("shared", relativePath);
+
+    // Detect initial state if not already set
+    if (!isCommentedMap.has(doc.uri.fsPath)) {
+      const initialState = await initialMode(doc);
+      isCommentedMap.set(doc.uri.fsPath, initialState);
+    }
+
+    // Detect private comment visibility if not already set
+    if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+      const privateVisible = await initialPrivateVisibility(doc);
+      privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
+    }
+
+    // Get current state
+    const currentIsCommented = isCommentedMap.get(doc.uri.fsPath);
+
+    // Guessed mode with comments stored: if the guess is wrong, saving would drop them (see inferredStateFiles)
+    let inferredWithStored = false;
+    if (inferredStateFiles.has(doc.uri.fsPath)) {
+      const { allComments } = await loadAllComments(relativePath);
+      inferredWithStored = allComments.length > 0;
+      if (inferredWithStored && unstoredComments(text, doc.uri.path, allComments).length > 0) {
+        throw new Error("Could not confirm whether this file shows its comments, and some of them are not in .vcm yet - save it, then switch it again.");
+      }
+    }
+
+    if (currentIsCommented === true) {
+      // Currently in commented mode -> switch to clean mode (hide comments)
+      // A guessed mode skips this: every comment is already stored
+      if (!inferredWithStored) {
+        // Ensure a .vcm file exists before stripping
+        try {
+          await vscode.workspace.fs.stat(vcmFileUri);
+        } catch {
+          // No .vcm yet — extract and save before removing comments
+          // We're still in commented mode here, so this will extract all comments
+          await saveVCM(doc);
+        }
+
+        // If liveSync is disabled, always update manually
+        // We're still in commented mode here, so this will extract all comments
+        const config = vscode.workspace.getConfiguration("vcm");
+        const liveSync = config.get("liveSync", false);
+        if (!liveSync) {
+          await saveVCM(doc);
+        }
+      }
+
+      // Load ALL VCM comments (shared + private) to check for alwaysShow and isPrivate
+      const { allComments: vcmComments } = await loadAllComments(relativePath);
+
+      // Strip comments to show clean version (but keep alwaysShow and private if visible)
+      const keepPrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
+      const newText = stripComments(text, doc.uri.path, vcmComments, keepPrivate);
+      // Mark this file as now in clean mode
+      isCommentedMap.set(doc.uri.fsPath, false);
+      // DO NOT change privateCommentsVisible - private comment visibility persists across mode toggles
+      confirmFileState(doc, newText);
+      return { newText, commented: false, created: false, report: null };
+    }
+
+    // Currently in clean mode -> switch to commented mode (show comments)
+    try {
+      // Load ALL comments (shared + private) to handle includePrivate correctly
+      const { sharedComments: existingSharedComments, privateComments: existingPrivateComments } = await loadAllComments(relativePath);
+
+      // Merge text_cleanMode into text/block and clear text_cleanMode for shared comments
+      const mergedSharedComments = existingSharedComments.map(comment => {
+        const merged = { ...comment };
+
+        if (comment.text_cleanMode) {
+          if (comment.type === "inline") {
+            // For inline: text_cleanMode is a string, prepend to text
+            merged.text = (comment.text_cleanMode || "") + (comment.text || "");
+          } else if (comment.type === "block") {
+            // For block: text_cleanMode is a block array, prepend to block
+            merged.block = [...(comment.text_cleanMode || []), ...(comment.block || [])];
+          }
+          merged.text_cleanMode = null;
+        }
+
+        return merged;
+      });
+
+      // Combine shared and private comments (all need to be in the array for proper filtering)
+      const allMergedComments = [...mergedSharedComments, ...existingPrivateComments];
+
+      // Strip any comments typed in clean mode before injecting VCM comments
+      const cleanText = stripComments(text, doc.uri.path, allMergedComments, false);
+      const includePrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
+      const lineSymbols = await getLineSymbols(doc, cleanText);
+      const injectWithReport = (acceptLowConfidence) => {
+        const report = { orphaned: [], reanchored: [], lowConfidence: [], acceptLowConfidence };
+        return { text: injectComments(cleanText, allMergedComments, includePrivate, doc.uri.path, report, lineSymbols), report };
+      };
+      let { text: injectedText, report } = injectWithReport(false);
+
+      // Comments whose anchor line was edited beyond a confident match: ask before re-attaching them
+      if (report.lowConfidence.length > 0 && await confirmLowConfidence(report)) {
+        ({ text: injectedText, report } = injectWithReport(true));
+      }
+
+      // Re-anchored comments store their new line, so the next toggle finds them by hash again
+      // Comments that could not be placed stay in .vcm flagged as orphaned, so the next save in commented mode keeps them
+      const orphanedSet = new Set(report.orphaned);
+      const reanchoredBy = new Map(report.reanchored.map(match => [match.comment, match]));
+      const withPlacement = (comment) => {
+        const { orphaned: wasOrphaned, ...rest } = comment;
+        const match = reanchoredBy.get(comment);
+        if (match) {
+          return { ...rest, anchor: match.anchor, anchorText: match.matchedText, prevHash: match.prevHash, nextHash: match.nextHash, symbolPath: match.symbolPath };
+        }
+        return orphanedSet.has(comment) ? { ...rest, orphaned: true } : rest;
+      };
+
+      // Save the merged shared comments back to VCM (private comments are stored separately)
+      await writeVcmFile(
+        "shared",
+        relativePath,
+        mergedSharedComments.map(withPlacement).map(withoutFunctionalComments).filter(Boolean)
+      );
+
+      // Private comments were only injected (and possibly re-anchored or orphaned) when they are visible
+      if (includePrivate && existingPrivateComments.length > 0) {
+        await writeVcmFile(
+          "private",
+          relativePath,
+          existingPrivateComments.map(withPlacement).map(({ isPrivate, ...rest }) => rest)
+        );
+      }
+
+      // Mark this file as now in commented mode
+      isCommentedMap.set(doc.uri.fsPath, true);
+      // DO NOT change privateCommentsVisible - private comment visibility persists across mode toggles
+
+      // Mark that we just injected from VCM - don't re-extract on next save
+      justInjectedFromVCM.add(doc.uri.fsPath);
+
+      confirmFileState(doc, injectedText);
+      return { newText: injectedText, commented: true, created: false, report };
+    } catch (err) {
+      // Any other failure (newer schema, locked or unwritable mirror, cancelled passphrase) leaves the file clean -
+      // saving its clean text in commented mode would replace the mirror with only the comments it shows
+      if ((await vcmFileExists("shared", relativePath)) || (await vcmFileExists("private", relativePath))) throw err;
+
+      // No .vcm file exists yet — create one now
+      isCommentedMap.set(doc.uri.fsPath, true);
+      // DO NOT initialize privateCommentsVisible - it will default to false (hidden) if not set
+      await saveVCM(doc);
+      try {
+        // Load ALL comments (shared + private) after saving
+        const { sharedComments, privateComments } = await loadAllComments(relativePath);
+        const allComments = [...sharedComments, ...privateComments];
+
+        // Strip comments before injecting (except alwaysShow and private if visible)
+        const keepPrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
+        const cleanText = stripComments(text, doc.uri.path, allComments, keepPrivate);
+        const newText = injectComments(cleanText, allComments, keepPrivate, doc.uri.path, null, await getLineSymbols(doc, cleanText));
+
+        // Mark that we just injected from VCM - don't re-extract on next save
+        justInjectedFromVCM.add(doc.uri.fsPath);
+
+        confirmFileState(doc, newText);
+        return { newText, commented: true, created: true, report: null };
+      } catch {
+        throw new Error("Could not create .vcm data — save the file once with comments.");
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helper: Virtual comments (commented view drawn as decorations)
+  // ---------------------------------------------------------------------------
+  // With the virtualComments setting on, showing the comments of a clean file draws them as editor decorations
+  // instead of writing them into it. The file is never edited or saved, so watchers, formatters, dev servers and
+  // git status see nothing. Comments are placed with the same matching as injectComments (placeComments), against
+  // the document as it is, and redrawn as it is edited (by anchor hash and the last draw's fuzzy matches, so typing
+  // never waits on line comparisons). A block comment is drawn at the end of the line it sits
+  // above; hover it to read it line by line. Drawing never writes the mirrors - comments whose code changed are
+  // re-anchored the next time the file is really switched to commented mode.
+  const virtualCommentDecoration = vscode.window.createTextEditorDecorationType({
+    after: {
+      color: new vscode.ThemeColor("editorCodeLens.foreground"),
+      fontStyle: "italic",
+      margin: "0 0 0 2em",
+    },
+  });
+  context.subscriptions.push(virtualCommentDecoration);
+
+  const virtualCommentsEnabled = () =>
+    vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("virtualComments", false);
+
+  // Fuzzy matches found by the last full draw of each file: path -> Map(comment id -> { anchor, prevHash, nextHash })
+  // Redraws while typing skip the fuzzy pass (it compares lines and would run on every pause) and reuse these instead
+  const virtualReanchors = new Map();
+
+  // Draw (or clear) the virtual comments in every visible editor showing this document
+  // whileTyping → place by anchor hash plus the cached fuzzy matches only
+  async function renderVirtualComments(doc, { whileTyping = false } = {}) {
+    // A file switched to commented mode (repo-wide, Explorer, undo) already shows its comments for real
+    if (isCommentedMap.get(doc.uri.fsPath) === true) virtualCommentFiles.delete(doc.uri.fsPath);
+    if (!virtualCommentFiles.has(doc.uri.fsPath)) virtualReanchors.delete(doc.uri.fsPath);
+
+    const editors = vscode.window.visibleTextEditors.filter(e => e.document.uri.toString() === doc.uri.toString());
+    if (editors.length === 0) return;
+
+    let decorations = [];
+    if (virtualCommentFiles.has(doc.uri.fsPath)) {
+      // Only stored text is drawn: comments typed in clean mode (text_cleanMode) and visible private comments are already in the file
+      const { sharedComments } = await loadAllComments(vscode.workspace.asRelativePath(doc.uri), { unlock: false });
+      const text = doc.getText();
+      const cached = (whileTyping && virtualReanchors.get(doc.uri.fsPath)) || new Map();
+      const report = whileTyping ? { skipFuzzy: true } : { reanchored: [] };
+      const { lines, fileStartIndex, fileStartBlocks, blockMap, inlineMap, fileEndBlocks } = placeComments(
+        text,
+        sharedComments.map(c => ({ ...c, ...cached.get(c.id), text_cleanMode: null })),
+        false,
+        doc.uri.path,
+        report,
+        await getLineSymbols(doc, text)
+      );
+      if (!whileTyping) {
+        virtualReanchors.set(doc.uri.fsPath, new Map(report.reanchored
+          .filter(match => match.comment.id)
+          .map(({ comment, anchor, prevHash, nextHash }) => [comment.id, { anchor, prevHash, nextHash }])));
+      }
+
+      // Line index -> comment texts drawn after it, in file order (header, blocks above the line, its inline comment, footer)
+      const byLine = new Map();
+      const add = (i, texts) => {
+        if (texts.length > 0) byLine.set(i, [...(byLine.get(i) || []), ...texts]);
+      };
+      const blockTexts = (block) => blockCommentLines(block).map(l => l.text.trim()).filter(Boolean);
+      const lastLine = Math.max(lines.length - 1, 0);
+      add(Math.min(fileStartIndex, lastLine), fileStartBlocks.flatMap(blockTexts));
+      blockMap.forEach((blocks, i) => add(i, blocks.flatMap(blockTexts)));
+      inlineMap.forEach((inlines, i) => add(i, inlines.map(c => inlineCommentText(c).trim()).filter(Boolean)));
+      add(lastLine, fileEndBlocks.flatMap(blockTexts));
+
+      decorations = [...byLine].map(([i, texts]) => {
+        const end = doc.lineAt(i).text.length;
+        const hover = new vscode.MarkdownString();
+        hover.appendCodeblock(texts.join("\n"), doc.languageId);
+        return {
+          range: new vscode.Range(i, end, i, end),
+          hoverMessage: hover,
+          renderOptions: { after: { contentText: texts.join("  ") } },
+        };
+      });
+    }
+
+    editors.forEach(editor => editor.setDecorations(virtualCommentDecoration, decorations));
+  }
+
+  // Start or stop drawing a clean document's comments
+  async function setVirtualComments(doc, show) {
+    if (show) {
+      virtualCommentFiles.add(doc.uri.fsPath);
+    } else {
+      virtualCommentFiles.delete(doc.uri.fsPath);
+    }
+    await renderVirtualComments(doc);
+  }
+
+  // Redraw while typing (debounced like the split view), and when an editor for the file comes into view
+  let virtualRenderTimeout;
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      if (!virtualCommentFiles.has(e.document.uri.fsPath)) return;
+      clearTimeout(virtualRenderTimeout);
+      virtualRenderTimeout = setTimeout(() => renderVirtualComments(e.document, { whileTyping: true }).catch(() => {}), 300);
+    }),
+    vscode.window.onDidChangeVisibleTextEditors((editors) => {
+      const docs = new Set(editors.map(e => e.document).filter(d => virtualCommentFiles.has(d.uri.fsPath)));
+      docs.forEach(doc => renderVirtualComments(doc).catch(() => {}));
+    }),
+    vscode.workspace.onDidCloseTextDocument((doc) => {
+      virtualCommentFiles.delete(doc.uri.fsPath);
+      virtualReanchors.delete(doc.uri.fsPath);
+    }),
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (!e.affectsConfiguration("vcm-view-comments-mirror.virtualComments") || virtualCommentsEnabled()) return;
+      // Turned off: back to plain clean files
+      const docs = new Set(vscode.window.visibleTextEditors.map(e => e.document).filter(d => virtualCommentFiles.has(d.uri.fsPath)));
+      virtualCommentFiles.clear();
+      docs.forEach(doc => renderVirtualComments(doc).catch(() => {}));
+    })
+  );
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Toggle same file (hide/show comments)
+  // ---------------------------------------------------------------------------
+  // Toggles comments on/off in the current file without creating a split view
+  // Process:
+  // 1. If file has comments: strip them and show clean version
+  // 2. If file is clean: restore comments from .vcm file (or draw them, with virtualComments on)
+  
+  const toggleCurrentFileComments = vscode.commands.registerCommand("vcm-view-comments-mirror.toggleCurrentFileComments", async () => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+
+    // Virtual comments showing: hiding them only clears the decorations
+    if (virtualCommentFiles.has(editor.document.uri.fsPath)) {
+      await setVirtualComments(editor.document, false);
+      vscode.window.showInformationMessage("VCM: Switched to clean mode (comments hidden)");
+      return;
+    }
+
+    // Disable .vcm sync during toggle to prevent overwriting
+    vcmSyncEnabled = false;
+
+    const doc = editor.document;
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+    // Toggling rewrites the mirror - not possible when a newer version of the extension wrote it
+    // or while its private comments are encrypted and the passphrase wasn't given
+    const stored = await loadAllComments(relativePath);
+    if (stored.newerSchema) {
+      vscode.window.showWarningMessage("VCM: This file's comments were saved by a newer version of VCM - update the extension to toggle them.");
+      vcmSyncEnabled = true;
+      return;
+    }
+
+    // virtualComments: a clean file draws its comments and is left untouched
+    // A file showing real comments is still switched to clean mode the usual way - from then on it stays clean
+    if (virtualCommentsEnabled()) {
+      if (!isCommentedMap.has(doc.uri.fsPath)) {
+        isCommentedMap.set(doc.uri.fsPath, await initialMode(doc));
+      }
+      if (isCommentedMap.get(doc.uri.fsPath) === false) {
+        await setVirtualComments(doc, true);
+        vscode.window.showInformationMessage("VCM: Showing comments as virtual text (the file is not changed)");
+        vcmSyncEnabled = true;
+        return;
+      }
+    }
+
+    if (stored.privateLocked) {
+      vscode.window.showWarningMessage("VCM: This file's private comments are encrypted - enter the passphrase to toggle them.");
+      vcmSyncEnabled = true;
+      return;
+    }
+
+    let result;
+    try {
+      result = await switchDocumentMode(doc, async (report) => {
+        const example = report.lowConfidence[0];
+        const choice = await vscode.window.showWarningMessage(
+          `VCM: ${report.lowConfidence.length} comment(s) only loosely match edited code (e.g. "${example.anchorText.trim()}" → "${example.matchedText.trim()}"). Re-attach them there?`,
+          "Re-attach",
+          "Keep as Orphaned"
+        );
+        return choice === "Re-attach";
+      });
+    } catch (err) {
+      vscode.window.showErrorMessage("VCM: " + err.message);
+      vcmSyncEnabled = true;
+      return;
+    }
+
+    const { report } = result;
+    if (!result.commented) {
+      vscode.window.showInformationMessage("VCM: Switched to clean mode (comments hidden)");
+    } else if (result.created) {
+      vscode.window.showInformationMessage("VCM: Created new .vcm and switched to commented mode");
+    } else {
+      const reanchoredNote = report.reanchored.length > 0 ? ` - ${report.reanchored.length} comment(s) re-attached to edited lines` : "";
+      vscode.window.showInformationMessage(`VCM: Switched to commented mode (comments visible)${reanchoredNote}`);
+      if (report.orphaned.length > 0) {
+        vscode.window.showWarningMessage(`VCM: ${report.orphaned.length} comment(s) could not be placed because their code changed - they are kept in .vcm as orphaned.`);
+      }
+    }
+
+    // Replace entire document content
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), result.newText);
+    await vscode.workspace.applyEdit(edit);
+    await vscode.commands.executeCommand("workbench.action.files.save");
+
+    // Re-enable sync after a delay to ensure save completes
+    setTimeout(() => (vcmSyncEnabled = true), 800);
+  });
+  context.subscriptions.push(toggleCurrentFileComments);
+
+  // ---------------------------------------------------------------------------
+  // Helpers: Switching many files at once (repo-wide and Explorer commands)
+  // ---------------------------------------------------------------------------
+  // Files are loaded as documents without opening editors. Files with unsaved changes or merge conflicts,
+  // or whose comments can't be rewritten, are left alone and listed when the run finishes.
+
+  // Git conflict markers: <<<<<<< ... >>>>>>> at the start of lines
+  const hasMergeConflict = (text) => /^<{7}(?: |$)[\s\S]*^>{7}(?: |$)/m.test(text);
+
+  // Workspace paths of every file with a shared or private mirror (at or below a workspace path, when given)
+  async function listMirroredFiles(underPath = null) {
+    const relativePaths = new Set();
+    for (const { folderUri, storage } of await allStorages()) {
+      for (const fileUri of await listMirrorFiles(storage.rootUri)) {
+        const folderPath = fileUri.path.slice(storage.rootUri.path.length + 1, -".vcm.json".length);
+        const relativePath = workspacePathOf(folderUri, folderPath);
+        if (underPath === null || relativePath.startsWith(underPath + "/")) relativePaths.add(relativePath);
+      }
+    }
+    return relativePaths;
+  }
+
+  // Run over many files with a cancellable progress notification
+  // select(docs) picks which of the loaded files to change (it may set up state for switchFile);
+  // switchFile(doc) returns the new text of one of them, or null to leave it as it is.
+  // Returns { switched, total, cancelled, skipped } - skipped lists { relativePath, reason }
+  async function switchFiles(title, relativePaths, select, switchFile) {
+    const skipped = [];
+    let switched = 0;
+    let total = 0;
+    let cancelled = false;
+
+    // Disable .vcm sync while files are rewritten and saved
+    vcmSyncEnabled = false;
+    try {
+      cancelled = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title,
+        cancellable: true,
+      }, async (progress, token) => {
+        // Load each file and find the ones that can't be switched
+        progress.report({ message: "Checking files..." });
+        const docs = [];
+        let askPassphrase = true; // Asked once - a cancelled prompt skips every other encrypted file too
+        for (const relativePath of [...relativePaths].sort()) {
+          if (token.isCancellationRequested) return true;
+
+          const { folderUri, path: folderPath } = resolveWorkspacePath(relativePath);
+          const fileUri = vscode.Uri.joinPath(folderUri, folderPath);
+          let doc;
+          try {
+            await vscode.workspace.fs.stat(fileUri); // Deleted files may still have a document open
+            doc = await vscode.workspace.openTextDocument(fileUri);
+          } catch {
+            skipped.push({ relativePath, reason: "file not found" });
+            continue;
+          }
+          if (doc.isDirty) {
+            skipped.push({ relativePath, reason: "unsaved changes" });
+            continue;
+          }
+          if (hasMergeConflict(doc.getText())) {
+            skipped.push({ relativePath, reason: "merge conflict" });
+            continue;
+          }
+
+          const stored = await loadAllComments(relativePath, { unlock: askPassphrase });
+          if (stored.newerSchema) {
+            skipped.push({ relativePath, reason: "saved by a newer version of VCM" });
+            continue;
+          }
+          if (stored.privateLocked) {
+            askPassphrase = false;
+            skipped.push({ relativePath, reason: "encrypted private comments, no passphrase" });
+            continue;
+          }
+          docs.push(doc);
+        }
+
+        const targets = await select(docs);
+        total = targets.length;
+
+        for (const doc of targets) {
+          if (token.isCancellationRequested) return true;
+
+          const relativePath = vscode.workspace.asRelativePath(doc.uri);
+          progress.report({ message: `${relativePath} (${switched + 1}/${total})`, increment: 100 / total });
+          try {
+            const newText = await switchFile(doc);
+            if (newText === null) continue;
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+            await vscode.workspace.applyEdit(edit);
+            await doc.save();
+            switched++;
+          } catch (err) {
+            skipped.push({ relativePath, reason: err.message });
+          }
+        }
+        return false;
+      });
+    } finally {
+      // Re-enable sync after a delay to ensure the saves complete
+      setTimeout(() => (vcmSyncEnabled = true), 800);
+    }
 
-  // Monitor visible editors - close split view if source is no longer visible
-  const visibleEditorsWatcher = vscode.window.onDidChangeVisibleTextEditors((editors) => {
-    // If we have a split view open, check if source is still visible
-    if (sourceDocUri && tempUri) {
-      const sourceVisible = editors.some(e => e.document.uri.toString() === sourceDocUri.toString());
-      if (!sourceVisible) {
-        // Source is no longer visible - close the split view
-        closeSplitView();
-      }
+    return { switched, total, cancelled, skipped };
+  }
+
+  // Report a multi-file run: what changed (done, ex: "to clean mode"), what was left alone (pick one to open it)
+  async function showSwitchSummary({ switched, total, cancelled, skipped }, done, note = "") {
+    const summary = !cancelled ? `Switched ${switched} file(s) ${done}`
+      : switched > 0 ? `Cancelled after switching ${switched} of ${total} file(s) ${done}`
+      : "Cancelled - no files were switched";
+    if (skipped.length === 0) {
+      vscode.window.showInformationMessage(`VCM: ${summary}${note}`);
+      return;
     }
-  });
-  context.subscriptions.push(visibleEditorsWatcher);
 
-  // ---------------------------------------------------------------------------
-  // COMMAND: Toggle same file (hide/show comments)
-  // ---------------------------------------------------------------------------
-  // Toggles comments on/off in the current file without creating a split view
-  // Process:
-  // 1. If file has comments: strip them and show clean version
-  // 2. If file is clean: restore comments from .vcm file
-  
-  const toggleCurrentFileComments = vscode.commands.registerCommand("vcm-view-comments-mirror.toggleCurrentFileComments", async () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) return;
+    const choice = await vscode.window.showWarningMessage(
+      `VCM: ${summary}${note}. Skipped ${skipped.length} file(s): ` +
+        skipped.slice(0, 3).map(s => `${s.relativePath} (${s.reason})`).join(", ") +
+        (skipped.length > 3 ? `, and ${skipped.length - 3} more` : ""),
+      "Show Skipped Files"
+    );
+    if (choice !== "Show Skipped Files") return;
+
+    const picked = await vscode.window.showQuickPick(
+      skipped.map(s => ({ label: s.relativePath, description: s.reason })),
+      { placeHolder: "Files left as they were - pick one to open it" }
+    );
+    if (picked) {
+      const { folderUri, path: folderPath } = resolveWorkspacePath(picked.label);
+      await vscode.window.showTextDocument(vscode.Uri.joinPath(folderUri, folderPath)).then(undefined, () => {});
+    }
+  }
 
-    // Disable .vcm sync during toggle to prevent overwriting
-    vcmSyncEnabled = false;
+  // Switch files to commented (hide = false) or clean mode (hide = true); files already in that mode are left alone
+  // hide = null switches them all the same way: to clean mode when any of them shows its comments, to commented mode otherwise.
+  // Comments that only loosely match edited code are kept as orphaned rather than asked about file by file.
+  async function setFilesMode(title, relativePaths, hide) {
+    let orphaned = 0;
+    const result = await switchFiles(
+      title,
+      relativePaths,
+      async (docs) => {
+        for (const doc of docs) {
+          if (!isCommentedMap.has(doc.uri.fsPath)) {
+            isCommentedMap.set(doc.uri.fsPath, await initialMode(doc));
+          }
+        }
+        if (hide === null) hide = docs.some(doc => isCommentedMap.get(doc.uri.fsPath) === true);
+        return docs.filter(doc => (isCommentedMap.get(doc.uri.fsPath) === true) === hide); // The ones in the other mode
+      },
+      async (doc) => {
+        const { newText, report } = await switchDocumentMode(doc, async () => false);
+        orphaned += report ? report.orphaned.length : 0;
+        return newText;
+      }
+    );
 
-    const doc = editor.document;
-    const text = doc.getText();
-    const relativePath = vscode.workspace.asRelativePath(doc.uri);
-    const vcmFileUri = vscode.Uri.joinPath(vcmDir, relativePath + ".vcm.json");
+    const orphanedNote = orphaned > 0 ? ` - ${orphaned} comment(s) could not be placed and are kept in .vcm as orphaned` : "";
+    await showSwitchSummary(result, hide ? "to clean mode (comments hidden)" : "to commented mode (comments visible)", orphanedNote);
+  }
 
-    // Detect initial state if not already set
-    if (!isCommentedMap.has(doc.uri.fsPath)) {
-      const initialState = await detectInitialMode(doc, vcmDir);
-      isCommentedMap.set(doc.uri.fsPath, initialState);
+  // ---------------------------------------------------------------------------
+  // COMMAND: Hide/Show Local Comments (Repo-Wide)
+  // ---------------------------------------------------------------------------
+  // Switches every file with comments in .vcm to the same mode in one go:
+  // clean when any of them shows its comments, commented when they are all clean.
+  const toggleLocalComments = vscode.commands.registerCommand("vcm-view-comments-mirror.toggleLocalComments", async () => {
+    const relativePaths = await listMirroredFiles();
+    if (relativePaths.size === 0) {
+      vscode.window.showInformationMessage("VCM: No files have comments in .vcm yet.");
+      return;
     }
 
-    // Detect private comment visibility if not already set
-    if (!privateCommentsVisible.has(doc.uri.fsPath)) {
-      const privateVisible = await detectPrivateVisibility(doc, relativePath);
-      privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
-    }
+    await setFilesMode("VCM: Hide/Show Local Comments", relativePaths, null);
+  });
+  context.subscriptions.push(toggleLocalComments);
 
-    // Get current state
-    const currentIsCommented = isCommentedMap.get(doc.uri.fsPath);
-    let newText;
+  // ---------------------------------------------------------------------------
+  // COMMANDS: Explorer -> "Show Comments" / "Hide Comments" / "Toggle Private"
+  // ---------------------------------------------------------------------------
+  // Run on the right-clicked file or folder, or on every selected one.
+  // A folder stands for the files below it that have comments in .vcm, minus files.exclude and
+  // the vcm-view-comments-mirror.exclude globs. A file picked on its own is always included.
+  function excludedBy(relativePath) {
+    const filesExclude = vscode.workspace.getConfiguration("files").get("exclude", {}) || {};
+    const globs = [
+      ...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true),
+      ...(vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("exclude", ["**/node_modules", "**/dist", "**/out", "**/build"]) || []),
+    ];
+    const { path: folderPath } = resolveWorkspacePath(relativePath);
+    return globs.some(glob => globToRegExp(glob).test(folderPath));
+  }
 
-    if (currentIsCommented === true) {
-      // Currently in commented mode -> switch to clean mode (hide comments)
-      // Ensure a .vcm file exists before stripping
+  async function explorerSelection(clickedUri, selectedUris) {
+    const uris = selectedUris && selectedUris.length > 0 ? selectedUris : clickedUri ? [clickedUri] : [];
+    const relativePaths = new Set();
+    for (const uri of uris) {
+      if (!isMirroredPath(uri)) continue;
+      const relativePath = vscode.workspace.asRelativePath(uri);
+      let isFolder = false;
       try {
-        await vscode.workspace.fs.stat(vcmFileUri);
+        isFolder = !!((await vscode.workspace.fs.stat(uri)).type & vscode.FileType.Directory);
       } catch {
-        // No .vcm yet — extract and save before removing comments
-        // We're still in commented mode here, so this will extract all comments
-        await saveVCM(doc);
+        continue; // Deleted since it was selected
+      }
+      if (!isFolder) {
+        relativePaths.add(relativePath);
+        continue;
       }
 
-      // If liveSync is disabled, always update manually
-      // We're still in commented mode here, so this will extract all comments
-      const config = vscode.workspace.getConfiguration("vcm");
-      const liveSync = config.get("liveSync", false);
-      if (!liveSync) {
-        await saveVCM(doc);
+      // A workspace folder itself: every file of that folder
+      const isRoot = vscode.workspace.workspaceFolders?.some(f => f.uri.toString() === uri.toString());
+      const files = await listMirroredFiles(isRoot ? null : relativePath);
+      for (const file of files) {
+        if (isRoot && resolveWorkspacePath(file).folderUri.toString() !== uri.toString()) continue;
+        if (!excludedBy(file)) relativePaths.add(file);
       }
+    }
+    return relativePaths;
+  }
 
-      // Load ALL VCM comments (shared + private) to check for alwaysShow and isPrivate
-      const { allComments: vcmComments } = await loadAllComments(relativePath);
+  for (const hide of [false, true]) {
+    const command = vscode.commands.registerCommand(
+      hide ? "vcm-view-comments-mirror.hideCommentsInSelection" : "vcm-view-comments-mirror.showCommentsInSelection",
+      async (clickedUri, selectedUris) => {
+        const relativePaths = await explorerSelection(clickedUri, selectedUris);
+        if (relativePaths.size === 0) {
+          vscode.window.showInformationMessage("VCM: None of the selected files have comments in .vcm.");
+          return;
+        }
+        await setFilesMode(hide ? "VCM: Hide Comments" : "VCM: Show Comments", relativePaths, hide);
+      }
+    );
+    context.subscriptions.push(command);
+  }
 
-      // Strip comments to show clean version (but keep alwaysShow and private if visible)
-      const keepPrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
-      newText = stripComments(text, doc.uri.path, vcmComments, keepPrivate);
-      // Mark this file as now in clean mode
-      isCommentedMap.set(doc.uri.fsPath, false);
-      // DO NOT change privateCommentsVisible - private comment visibility persists across mode toggles
-      vscode.window.showInformationMessage("VCM: Switched to clean mode (comments hidden)");
-    } else {
-      // Currently in clean mode -> switch to commented mode (show comments)
-      try {
-        // Load ALL comments (shared + private) to handle includePrivate correctly
-        const { sharedComments: existingSharedComments, privateComments: existingPrivateComments } = await loadAllComments(relativePath);
-
-        // Merge text_cleanMode into text/block and clear text_cleanMode for shared comments
-        const mergedSharedComments = existingSharedComments.map(comment => {
-          const merged = { ...comment };
-
-          if (comment.text_cleanMode) {
-            if (comment.type === "inline") {
-              // For inline: text_cleanMode is a string, prepend to text
-              merged.text = (comment.text_cleanMode || "") + (comment.text || "");
-            } else if (comment.type === "block") {
-              // For block: text_cleanMode is a block array, prepend to block
-              merged.block = [...(comment.text_cleanMode || []), ...(comment.block || [])];
+  // Private comments of every selected file end up the same way: hidden when any of them shows them, shown otherwise
+  const togglePrivateInSelection = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.togglePrivateInSelection",
+    async (clickedUri, selectedUris) => {
+      const relativePaths = await explorerSelection(clickedUri, selectedUris);
+      let show = true;
+      const result = await switchFiles(
+        "VCM: Toggle Private",
+        relativePaths,
+        async (docs) => {
+          const withPrivate = [];
+          for (const doc of docs) {
+            const { privateComments } = await loadAllComments(vscode.workspace.asRelativePath(doc.uri));
+            if (privateComments.length === 0) continue;
+            if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+              privateCommentsVisible.set(doc.uri.fsPath, await initialPrivateVisibility(doc));
             }
-            merged.text_cleanMode = null;
+            withPrivate.push(doc);
           }
+          show = !withPrivate.some(doc => privateCommentsVisible.get(doc.uri.fsPath) === true);
+          return withPrivate.filter(doc => (privateCommentsVisible.get(doc.uri.fsPath) === true) !== show);
+        },
+        async (doc) => {
+          const switched = await switchPrivateVisibility(doc);
+          return switched ? switched.newText : null;
+        }
+      );
 
-          return merged;
-        });
-
-        // Combine shared and private comments (all need to be in the array for proper filtering)
-        const allMergedComments = [...mergedSharedComments, ...existingPrivateComments];
-
-        // Strip any comments typed in clean mode before injecting VCM comments
-        const cleanText = stripComments(text, doc.uri.path, allMergedComments, false);
-        const includePrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
-        newText = injectComments(cleanText, allMergedComments, includePrivate);
-
-        // Save the merged shared comments back to VCM (private comments are stored separately)
-        const updatedVcmData = {
-          file: relativePath,
-          lastModified: new Date().toISOString(),
-          comments: mergedSharedComments,
-        };
-        await vscode.workspace.fs.writeFile(
-          vcmFileUri,
-          Buffer.from(JSON.stringify(updatedVcmData, null, 2), "utf8")
-        );
-
-        // Mark this file as now in commented mode
-        isCommentedMap.set(doc.uri.fsPath, true);
-        // DO NOT change privateCommentsVisible - private comment visibility persists across mode toggles
+      if (result.total === 0 && result.skipped.length === 0 && !result.cancelled) {
+        vscode.window.showInformationMessage("VCM: None of the selected files have private comments.");
+        return;
+      }
+      await showSwitchSummary(result, show ? "to private comments visible 🔓" : "to private comments hidden 🔒");
+    }
+  );
+  context.subscriptions.push(togglePrivateInSelection);
 
-        // Mark that we just injected from VCM - don't re-extract on next save
-        justInjectedFromVCM.add(doc.uri.fsPath);
+  // ---------------------------------------------------------------------------
+  // WATCHER: Opened files -> the defaultMode setting
+  // ---------------------------------------------------------------------------
+  // "clean" or "commented" switches every file opened in the workspace to that mode, the same way the toggle does;
+  // "asIs" leaves files the way they are on disk. Excluded files (see excludedBy), files with unsaved changes or
+  // merge conflicts, and files whose comments can't be rewritten are left alone.
+  // Only files shown in an editor count: other extensions, find-references, peek and VCM's own multi-file switches
+  // open documents in the background, and those must not be rewritten. Each document is handled once while it is
+  // open, so switching a file by hand isn't undone when its tab comes back into view.
+  let defaultModeQueue = Promise.resolve(); // One file at a time - a restored session shows many at once
+  const defaultModeHandled = new Set(); // uris of open documents already handled
+
+  async function applyDefaultMode(doc) {
+    const defaultMode = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("defaultMode", "asIs");
+    if (defaultMode !== "clean" && defaultMode !== "commented") return;
+    if (!isMirroredPath(doc.uri) || doc.isClosed || doc.isDirty || hasMergeConflict(doc.getText())) return;
 
-        vscode.window.showInformationMessage("VCM: Switched to commented mode (comments visible)");
-      } catch {
-        // No .vcm file exists yet — create one now
-        isCommentedMap.set(doc.uri.fsPath, true);
-        // DO NOT initialize privateCommentsVisible - it will default to false (hidden) if not set
-        await saveVCM(doc);
-        try {
-          // Load ALL comments (shared + private) after saving
-          const { sharedComments, privateComments } = await loadAllComments(relativePath);
-          const allComments = [...sharedComments, ...privateComments];
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (excludedBy(relativePath)) return;
+    const stored = await loadAllComments(relativePath, { unlock: false });
+    if (stored.newerSchema || stored.privateLocked) return;
 
-          // Strip comments before injecting (except alwaysShow and private if visible)
-          const keepPrivate = privateCommentsVisible.get(doc.uri.fsPath) === true;
-          const cleanText = stripComments(text, doc.uri.path, allComments, keepPrivate);
-          newText = injectComments(cleanText, allComments, keepPrivate);
+    if (!isCommentedMap.has(doc.uri.fsPath)) {
+      isCommentedMap.set(doc.uri.fsPath, await initialMode(doc));
+    }
+    if (isCommentedMap.get(doc.uri.fsPath) === (defaultMode === "commented")) return; // Already in that mode
 
-          // Mark that we just injected from VCM - don't re-extract on next save
-          justInjectedFromVCM.add(doc.uri.fsPath);
+    // virtualComments: draw the comments instead of writing them into the file
+    if (defaultMode === "commented" && virtualCommentsEnabled()) {
+      await setVirtualComments(doc, true);
+      return;
+    }
 
-          vscode.window.showInformationMessage("VCM: Created new .vcm and switched to commented mode");
-        } catch {
-          vscode.window.showErrorMessage("VCM: Could not create .vcm data — save the file once with comments.");
-          vcmSyncEnabled = true;
-          return;
-        }
+    vcmSyncEnabled = false;
+    try {
+      const { newText } = await switchDocumentMode(doc, async () => false);
+      if (newText !== doc.getText()) {
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+        await vscode.workspace.applyEdit(edit);
+        await doc.save();
       }
+    } finally {
+      // Re-enable sync after a delay to ensure the save completes
+      setTimeout(() => (vcmSyncEnabled = true), 800);
     }
+  }
 
-    // Replace entire document content
-    const edit = new vscode.WorkspaceEdit();
-    edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
-    await vscode.workspace.applyEdit(edit);
-    await vscode.commands.executeCommand("workbench.action.files.save");
+  // Another switch (a toggle, or the previous file here) is still saving - wait for it rather than skip the file
+  const whenSyncEnabled = async () => {
+    while (!vcmSyncEnabled) await new Promise(resolve => setTimeout(resolve, 200));
+  };
 
-    // Re-enable sync after a delay to ensure save completes
-    setTimeout(() => (vcmSyncEnabled = true), 800);
-  });
-  context.subscriptions.push(toggleCurrentFileComments);
+  function queueDefaultMode(doc) {
+    if (defaultModeHandled.has(doc.uri.toString())) return;
+    defaultModeHandled.add(doc.uri.toString());
+    defaultModeQueue = defaultModeQueue
+      .then(whenSyncEnabled)
+      .then(() => applyDefaultMode(doc))
+      .catch(() => {}); // A file that can't be switched keeps the mode it has
+  }
+
+  const queueVisibleEditors = (editors) => editors.forEach(editor => queueDefaultMode(editor.document));
+
+  // Editors restored with the window are already showing
+  queueVisibleEditors(vscode.window.visibleTextEditors);
+  context.subscriptions.push(
+    vscode.window.onDidChangeVisibleTextEditors(queueVisibleEditors),
+    vscode.workspace.onDidCloseTextDocument((doc) => defaultModeHandled.delete(doc.uri.toString()))
+  );
 
   // ---------------------------------------------------------------------------
   // COMMAND: Right-click -> "Always Show This Comment"
@@ -2130,26 +5386,12 @@ async function activate(context) {
 
       const doc = editor.document;
       const selectedLine = editor.selection.active.line;
-      const line = doc.lineAt(selectedLine);
-      const text = line.text;
-      const trimmed = text.trim();
 
       // Check if line has a comment (block or inline)
-      const isBlockComment = trimmed.match(/^(\s*)(#|\/\/|--|%|;)/);
-      const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-      let isInlineComment = false;
-
-      // Check if line contains an inline comment
-      if (!isBlockComment) {
-        for (const marker of commentMarkers) {
-          const markerIndex = text.indexOf(marker);
-          if (markerIndex > 0) {
-            // Comment marker appears after position 0, so it's inline
-            isInlineComment = true;
-            break;
-          }
-        }
-      }
+      // Uses the same tokenizer as extraction, so markers inside strings don't count
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const isBlockComment = scannedLines[selectedLine].isComment;
+      const isInlineComment = !isBlockComment && scannedLines[selectedLine].commentStart >= 0;
 
       if (!isBlockComment && !isInlineComment) {
         vscode.window.showWarningMessage("VCM: You can only mark comment lines as 'Always Show'.");
@@ -2159,141 +5401,20 @@ async function activate(context) {
       const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
       try {
-        // Find the anchor hash for this comment
-        const lines = doc.getText().split("\n");
-        let anchorHash;
-
-        if (isInlineComment) {
-          // For inline comments, the anchor is the code portion before the comment
-          // Find where the comment starts and hash only the code part
-          let commentStartIndex = -1;
-          for (const marker of commentMarkers) {
-            const markerRegex = new RegExp(`(\\s+)(${marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`);
-            const match = text.match(markerRegex);
-            if (match) {
-              commentStartIndex = match.index;
-              break;
-            }
-          }
-          if (commentStartIndex > 0) {
-            const anchorBase = text.substring(0, commentStartIndex).trimEnd();
-            anchorHash = hashLine(anchorBase, 0);
-          } else {
-            vscode.window.showErrorMessage("VCM: Could not find comment marker.");
-            return;
-          }
-        } else {
-          // For block comments, find the next non-comment line
-          let anchorLineIndex = -1;
-          for (let i = selectedLine + 1; i < lines.length; i++) {
-            const trimmed = lines[i].trim();
-            if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-              anchorLineIndex = i;
-              break;
-            }
-          }
-
-          // If no code line below, fallback to the previous code line
-          if (anchorLineIndex === -1) {
-            for (let i = selectedLine - 1; i >= 0; i--) {
-              const trimmed = lines[i].trim();
-              if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-                anchorLineIndex = i;
-                break;
-              }
-            }
-          }
-
-          if (anchorLineIndex === -1) {
-            vscode.window.showErrorMessage("VCM: Could not determine anchor line for this comment.");
-            return;
-          }
-
-          anchorHash = hashLine(lines[anchorLineIndex], 0);
+        // Find the stored entry for this comment; a comment not stored yet is added with the flag
+        const { allComments: comments } = await loadAllComments(relativePath);
+        const found = commentAtLine(doc, selectedLine, comments);
+        if (!found) {
+          vscode.window.showWarningMessage("VCM: Could not find a matching comment entry.");
+          return;
         }
-
-        // Load or create VCM comments
-        let comments = [];
-        const { allComments } = await loadAllComments(relativePath);
-
-        if (allComments.length === 0) {
-          // No VCM exists - extract only the specific comment being marked
-          const allExtractedComments = extractComments(doc.getText(), doc.uri.path);
-
-          // Find all comments with matching anchor
-          const candidates = allExtractedComments.filter(c => c.anchor === anchorHash);
-
-          if (candidates.length === 0) {
-            vscode.window.showWarningMessage("VCM: Could not find a matching comment entry.");
-            return;
-          }
-
-          let targetComment;
-          if (candidates.length === 1) {
-            targetComment = candidates[0];
-          } else {
-            // Multiple comments with same anchor - use line number to disambiguate
-            targetComment = candidates.find(c => c.originalLineIndex === selectedLine);
-            if (!targetComment) {
-              targetComment = candidates[0]; // Fallback to first match
-            }
-          }
-
-          // Only add the specific comment being marked as always show
-          targetComment.alwaysShow = true;
-          comments = [targetComment];
-        } else {
-          // VCM exists - mark the comment in existing list using context matching
-          comments = allComments;
-
-          // Extract current comments to get fresh prevHash/nextHash
-          const currentComments = extractComments(doc.getText(), doc.uri.path);
-          const currentCandidates = currentComments.filter(c => c.anchor === anchorHash);
-
-          if (currentCandidates.length === 0) {
-            vscode.window.showWarningMessage("VCM: Could not find a matching comment entry in current file.");
-            return;
-          }
-
-          // Find the current comment at the selected line
-          let currentComment = currentCandidates.find(c => c.originalLineIndex === selectedLine);
-          if (!currentComment && currentCandidates.length > 0) {
-            currentComment = currentCandidates[0]; // Fallback
-          }
-
-          // Now match this current comment to a VCM comment using context
-          const vcmCandidates = comments.filter(c => c.anchor === anchorHash);
-          let targetVcmComment;
-
-          if (vcmCandidates.length === 1) {
-            targetVcmComment = vcmCandidates[0];
-          } else if (vcmCandidates.length > 1) {
-            // Use context hashes to find best match
-            let bestMatch = null;
-            let bestScore = -1;
-
-            for (const vcm of vcmCandidates) {
-              let score = 0;
-              if (currentComment.prevHash && vcm.prevHash === currentComment.prevHash) {
-                score += 10;
-              }
-              if (currentComment.nextHash && vcm.nextHash === currentComment.nextHash) {
-                score += 10;
-              }
-              if (score > bestScore) {
-                bestScore = score;
-                bestMatch = vcm;
-              }
-            }
-            targetVcmComment = bestMatch || vcmCandidates[0];
-          } else {
-            vscode.window.showWarningMessage("VCM: Could not find a matching comment entry in .vcm.");
-            return;
-          }
-
-          targetVcmComment.alwaysShow = true;
+        if (!found.stored) {
+          comments.push(found.current);
         }
 
+        const target = comments.find(c => c.id === found.current.id);
+        target.alwaysShow = true;
+
         // Save updated comments
         await saveCommentsToVCM(relativePath, comments);
 
@@ -2318,26 +5439,12 @@ async function activate(context) {
 
       const doc = editor.document;
       const selectedLine = editor.selection.active.line;
-      const line = doc.lineAt(selectedLine);
-      const text = line.text;
-      const trimmed = text.trim();
 
       // Check if line has a comment (block or inline)
-      const isBlockComment = trimmed.match(/^(\s*)(#|\/\/|--|%|;)/);
-      const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-      let isInlineComment = false;
-
-      // Check if line contains an inline comment
-      if (!isBlockComment) {
-        for (const marker of commentMarkers) {
-          const markerIndex = text.indexOf(marker);
-          if (markerIndex > 0) {
-            // Comment marker appears after position 0, so it's inline
-            isInlineComment = true;
-            break;
-          }
-        }
-      }
+      // Uses the same tokenizer as extraction, so markers inside strings don't count
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const isBlockComment = scannedLines[selectedLine].isComment;
+      const isInlineComment = !isBlockComment && scannedLines[selectedLine].commentStart >= 0;
 
       if (!isBlockComment && !isInlineComment) {
         vscode.window.showWarningMessage("VCM: You can only unmark comment lines.");
@@ -2348,80 +5455,20 @@ async function activate(context) {
 
       try {
         // Load all comments using helper function
-        const { allComments } = await loadAllComments(relativePath);
+        const { allComments: comments } = await loadAllComments(relativePath);
 
-        if (allComments.length === 0) {
+        if (comments.length === 0) {
           vscode.window.showWarningMessage("VCM: No .vcm file found.");
           return;
         }
 
-        const comments = allComments;
-
-        // Find the anchor hash for this comment
-        const lines = doc.getText().split("\n");
-        let anchorHash;
-
-        if (isInlineComment) {
-          // For inline comments, the anchor is the code portion before the comment
-          let commentStartIndex = -1;
-          for (const marker of commentMarkers) {
-            const markerRegex = new RegExp(`(\\s+)(${marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`);
-            const match = text.match(markerRegex);
-            if (match) {
-              commentStartIndex = match.index;
-              break;
-            }
-          }
-          if (commentStartIndex > 0) {
-            const anchorBase = text.substring(0, commentStartIndex).trimEnd();
-            anchorHash = hashLine(anchorBase, 0);
-          } else {
-            vscode.window.showErrorMessage("VCM: Could not find comment marker.");
-            return;
-          }
-        } else {
-          // For block comments, find the next non-comment line
-          let anchorLineIndex = -1;
-          for (let i = selectedLine + 1; i < lines.length; i++) {
-            const trimmed = lines[i].trim();
-            if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-              anchorLineIndex = i;
-              break;
-            }
-          }
-
-          // If no code line below, fallback to the previous code line
-          if (anchorLineIndex === -1) {
-            for (let i = selectedLine - 1; i >= 0; i--) {
-              const trimmed = lines[i].trim();
-              if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-                anchorLineIndex = i;
-                break;
-              }
-            }
-          }
-
-          if (anchorLineIndex === -1) {
-            vscode.window.showErrorMessage("VCM: Could not determine anchor line for this comment.");
-            return;
-          }
-
-          anchorHash = hashLine(lines[anchorLineIndex], 0);
-        }
-
-        // Search for comment with this anchor and remove alwaysShow
-        let found = false;
-        for (const c of comments) {
-          if (c.anchor === anchorHash && c.alwaysShow) {
-            delete c.alwaysShow;
-            found = true;
-          }
-        }
-
-        if (!found) {
+        // Find the stored entry for this comment and remove alwaysShow
+        const found = commentAtLine(doc, selectedLine, comments);
+        if (!found?.stored?.alwaysShow) {
           vscode.window.showWarningMessage("VCM: This comment is not marked as Always Show.");
           return;
         }
+        delete comments.find(c => c.id === found.current.id).alwaysShow;
 
         // Save updated comments using helper function
         await saveCommentsToVCM(relativePath, comments);
@@ -2432,45 +5479,32 @@ async function activate(context) {
         if (isInCleanMode) {
           // Remove the comment line(s) from the document
           const edit = new vscode.WorkspaceEdit();
-
-          // For block comments, we need to find all lines in the block
-          const currentComments = extractComments(doc.getText(), doc.uri.path);
-          const matchingComment = currentComments.find(c => c.anchor === anchorHash);
-
-          if (matchingComment) {
-            if (matchingComment.type === "block" && matchingComment.block) {
-              // Remove all lines in the block (from first to last)
-              const firstLine = Math.min(...matchingComment.block.map(b => b.originalLineIndex));
-              const lastLine = Math.max(...matchingComment.block.map(b => b.originalLineIndex));
-              const range = new vscode.Range(firstLine, 0, lastLine + 1, 0);
+          const matchingComment = found.current;
+
+          if (matchingComment.type === "block" && matchingComment.block) {
+            // Remove all lines in the block (from first to last)
+            const firstLine = Math.min(...matchingComment.block.map(b => b.originalLineIndex));
+            const lastLine = Math.max(...matchingComment.block.map(b => b.originalLineIndex));
+            const range = new vscode.Range(firstLine, 0, lastLine + 1, 0);
+            edit.delete(doc.uri, range);
+          } else if (matchingComment.type === "inline") {
+            // Remove just the inline comment part (keep the code)
+            const lineText = doc.lineAt(matchingComment.originalLineIndex).text;
+
+            // Find where the comment starts (includes the whitespace before the marker)
+            const commentStartIdx = scannedLines[matchingComment.originalLineIndex].commentStart;
+
+            if (commentStartIdx >= 0) {
+              const range = new vscode.Range(
+                matchingComment.originalLineIndex, commentStartIdx,
+                matchingComment.originalLineIndex, lineText.length
+              );
               edit.delete(doc.uri, range);
-            } else if (matchingComment.type === "inline") {
-              // Remove just the inline comment part (keep the code)
-              const lineText = lines[matchingComment.originalLineIndex];
-              const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-
-              // Find where the comment starts
-              let commentStartIdx = -1;
-              for (const marker of commentMarkers) {
-                const idx = lineText.indexOf(marker);
-                if (idx > 0 && lineText[idx - 1].match(/\s/)) {
-                  commentStartIdx = idx - 1; // Include the whitespace before marker
-                  break;
-                }
-              }
-
-              if (commentStartIdx >= 0) {
-                const range = new vscode.Range(
-                  matchingComment.originalLineIndex, commentStartIdx,
-                  matchingComment.originalLineIndex, lineText.length
-                );
-                edit.delete(doc.uri, range);
-              }
             }
-
-            await vscode.workspace.applyEdit(edit);
-            await doc.save();
           }
+
+          await vscode.workspace.applyEdit(edit);
+          await doc.save();
         }
 
         vscode.window.showInformationMessage("VCM: Unmarked Always Show ✅");
@@ -2490,98 +5524,40 @@ async function activate(context) {
     "vcm-view-comments-mirror.markPrivate",
     async () => {
       const editor = vscode.window.activeTextEditor;
-      if (!editor) return;
-
-      const doc = editor.document;
-      const selectedLine = editor.selection.active.line;
-      const line = doc.lineAt(selectedLine);
-      const text = line.text;
-      const trimmed = text.trim();
-
-      // Check if line has a comment (block or inline)
-      const isBlockComment = trimmed.match(/^(\s*)(#|\/\/|--|%|;)/);
-      const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-      let isInlineComment = false;
-
-      // Check if line contains an inline comment
-      if (!isBlockComment) {
-        for (const marker of commentMarkers) {
-          const markerIndex = text.indexOf(marker);
-          if (markerIndex > 0) {
-            // Comment marker appears after position 0, so it's inline
-            isInlineComment = true;
-            break;
-          }
-        }
-      }
-
-      if (!isBlockComment && !isInlineComment) {
-        vscode.window.showWarningMessage("VCM: You can only mark comment lines as private.");
-        return;
-      }
-
-      const relativePath = vscode.workspace.asRelativePath(doc.uri);
-
-      try {
-        // Extract current comments to get the comment at cursor with its hashes
-        const currentComments = extractComments(doc.getText(), doc.uri.path);
-
-        // Find the comment at the cursor position to get its hashes
-        const commentAtCursor = currentComments.find(c => {
-          if (isInlineComment) {
-            return c.type === "inline" && c.originalLineIndex === selectedLine;
-          } else {
-            // For block comments, check if cursor is within the block
-            if (c.type === "block" && c.block) {
-              const firstLine = c.block[0].originalLineIndex;
-              const lastLine = c.block[c.block.length - 1].originalLineIndex;
-              return selectedLine >= firstLine && selectedLine <= lastLine;
-            }
-            return false;
-          }
-        });
-
-        if (!commentAtCursor) {
-          vscode.window.showWarningMessage("VCM: Could not find a matching comment entry.");
-          return;
-        }
-
-        // Build the key using ALL hashes for this comment
-        const commentKey = `${commentAtCursor.type}:${commentAtCursor.anchor}:${commentAtCursor.prevHash || 'null'}:${commentAtCursor.nextHash || 'null'}`;
-
-        // Load or create VCM comments
-        let comments = [];
-        const { allComments } = await loadAllComments(relativePath);
-
-        if (allComments.length === 0) {
-          // No VCM exists - add only this comment to VCM, marked as private
-          commentAtCursor.isPrivate = true;
-          comments = [commentAtCursor];
-        } else {
-          // VCM exists - find and mark the matching comment using ALL hashes + text
-          comments = allComments;
+      if (!editor) return;
 
-          // For inline comments, also match on text to distinguish between multiple inline comments with same hashes
-          const targetVcmComment = comments.find(vcm => {
-            const vcmKey = `${vcm.type}:${vcm.anchor}:${vcm.prevHash || 'null'}:${vcm.nextHash || 'null'}`;
-            if (vcmKey !== commentKey) return false;
+      const doc = editor.document;
+      const selectedLine = editor.selection.active.line;
 
-            // If this is an inline comment, also match on the text to be more specific
-            if (commentAtCursor.type === "inline") {
-              return vcm.text === commentAtCursor.text;
-            }
+      // Check if line has a comment (block or inline)
+      // Uses the same tokenizer as extraction, so markers inside strings don't count
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const isBlockComment = scannedLines[selectedLine].isComment;
+      const isInlineComment = !isBlockComment && scannedLines[selectedLine].commentStart >= 0;
 
-            return true;
-          });
+      if (!isBlockComment && !isInlineComment) {
+        vscode.window.showWarningMessage("VCM: You can only mark comment lines as private.");
+        return;
+      }
 
-          if (!targetVcmComment) {
-            vscode.window.showWarningMessage("VCM: Could not find a matching comment entry in .vcm.");
-            return;
-          }
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
-          targetVcmComment.isPrivate = true;
+      try {
+        // Find the comment at the cursor and its stored entry; a comment not stored yet is added as private
+        const { allComments: comments } = await loadAllComments(relativePath);
+        const found = commentAtLine(doc, selectedLine, comments);
+        if (!found) {
+          vscode.window.showWarningMessage("VCM: Could not find a matching comment entry.");
+          return;
+        }
+        const commentAtCursor = found.current;
+        if (!found.stored) {
+          comments.push(commentAtCursor);
         }
 
+        // Same entry, same id - it only moves to the private file
+        comments.find(c => c.id === commentAtCursor.id).isPrivate = true;
+
         // Save updated comments (will split into shared/private automatically)
         await saveCommentsToVCM(relativePath, comments);
 
@@ -2601,16 +5577,7 @@ async function activate(context) {
             } else if (commentAtCursor.type === "inline") {
               // Remove inline comment from the line
               const currentLine = doc.lineAt(commentAtCursor.originalLineIndex);
-              const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-              let commentStartIdx = -1;
-
-              for (const marker of commentMarkers) {
-                const idx = currentLine.text.indexOf(marker);
-                if (idx > 0 && currentLine.text[idx - 1].match(/\s/)) {
-                  commentStartIdx = idx - 1;
-                  break;
-                }
-              }
+              const commentStartIdx = scannedLines[commentAtCursor.originalLineIndex].commentStart;
 
               if (commentStartIdx >= 0) {
                 const newLineText = currentLine.text.substring(0, commentStartIdx).trimEnd();
@@ -2654,26 +5621,12 @@ async function activate(context) {
 
       const doc = editor.document;
       const selectedLine = editor.selection.active.line;
-      const line = doc.lineAt(selectedLine);
-      const text = line.text;
-      const trimmed = text.trim();
 
       // Check if line has a comment (block or inline)
-      const isBlockComment = trimmed.match(/^(\s*)(#|\/\/|--|%|;)/);
-      const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-      let isInlineComment = false;
-
-      // Check if line contains an inline comment
-      if (!isBlockComment) {
-        for (const marker of commentMarkers) {
-          const markerIndex = text.indexOf(marker);
-          if (markerIndex > 0) {
-            // Comment marker appears after position 0, so it's inline
-            isInlineComment = true;
-            break;
-          }
-        }
-      }
+      // Uses the same tokenizer as extraction, so markers inside strings don't count
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const isBlockComment = scannedLines[selectedLine].isComment;
+      const isInlineComment = !isBlockComment && scannedLines[selectedLine].commentStart >= 0;
 
       if (!isBlockComment && !isInlineComment) {
         vscode.window.showWarningMessage("VCM: You can only unmark comment lines.");
@@ -2686,111 +5639,20 @@ async function activate(context) {
         // Load all comments from both shared and private
         const { allComments: comments } = await loadAllComments(relativePath);
 
-        // Find the anchor hash for this comment
-        const lines = doc.getText().split("\n");
-        let anchorHash;
-
-        if (isInlineComment) {
-          // For inline comments, the anchor is the code portion before the comment
-          let commentStartIndex = -1;
-          for (const marker of commentMarkers) {
-            const markerRegex = new RegExp(`(\\s+)(${marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`);
-            const match = text.match(markerRegex);
-            if (match) {
-              commentStartIndex = match.index;
-              break;
-            }
-          }
-          if (commentStartIndex > 0) {
-            const anchorBase = text.substring(0, commentStartIndex).trimEnd();
-            anchorHash = hashLine(anchorBase, 0);
-          } else {
-            vscode.window.showErrorMessage("VCM: Could not find comment marker.");
-            return;
-          }
-        } else {
-          // For block comments, find the next non-comment line
-          let anchorLineIndex = -1;
-          for (let i = selectedLine + 1; i < lines.length; i++) {
-            const trimmed = lines[i].trim();
-            if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-              anchorLineIndex = i;
-              break;
-            }
-          }
-
-          // If no code line below, fallback to the previous code line
-          if (anchorLineIndex === -1) {
-            for (let i = selectedLine - 1; i >= 0; i--) {
-              const trimmed = lines[i].trim();
-              if (trimmed && !trimmed.match(/^(\s*)(#|\/\/|--|%|;)/)) {
-                anchorLineIndex = i;
-                break;
-              }
-            }
-          }
-
-          if (anchorLineIndex === -1) {
-            vscode.window.showErrorMessage("VCM: Could not determine anchor line for this comment.");
-            return;
-          }
-
-          anchorHash = hashLine(lines[anchorLineIndex], 0);
-        }
-
-        // Extract current comments to match by context
-        const currentComments = extractComments(doc.getText(), doc.uri.path);
-        const currentCandidates = currentComments.filter(c => c.anchor === anchorHash);
-
-        if (currentCandidates.length === 0) {
+        // Find the stored entry for this comment
+        const found = commentAtLine(doc, selectedLine, comments);
+        if (!found) {
           vscode.window.showWarningMessage("VCM: Could not find a matching comment entry in current file.");
           return;
         }
-
-        // Find the current comment at the selected line
-        let currentComment = currentCandidates.find(c => c.originalLineIndex === selectedLine);
-        if (!currentComment && currentCandidates.length > 0) {
-          currentComment = currentCandidates[0]; // Fallback
-        }
-
-        // Match to VCM comment using context
-        const vcmCandidates = comments.filter(c => c.anchor === anchorHash && c.isPrivate);
-
-        if (vcmCandidates.length === 0) {
+        if (!found.stored?.isPrivate) {
           vscode.window.showWarningMessage("VCM: This comment is not marked as private.");
           return;
         }
+        const currentComment = found.current;
 
-        let targetVcmComment;
-        if (vcmCandidates.length === 1) {
-          targetVcmComment = vcmCandidates[0];
-        } else {
-          // Use context hashes + text to find best match
-          let bestMatch = null;
-          let bestScore = -1;
-
-          for (const vcm of vcmCandidates) {
-            let score = 0;
-            if (currentComment.prevHash && vcm.prevHash === currentComment.prevHash) {
-              score += 10;
-            }
-            if (currentComment.nextHash && vcm.nextHash === currentComment.nextHash) {
-              score += 10;
-            }
-            // For inline comments, exact text match is highest priority
-            if (isInlineComment && currentComment.text === vcm.text) {
-              score += 100;
-            }
-            if (score > bestScore) {
-              bestScore = score;
-              bestMatch = vcm;
-            }
-          }
-          targetVcmComment = bestMatch || vcmCandidates[0];
-        }
-
-        // Remove isPrivate flag
-        delete targetVcmComment.isPrivate;
+        // Remove isPrivate flag - same entry, same id, back in the shared file
+        delete comments.find(c => c.id === currentComment.id).isPrivate;
 
         // Save updated comments (will split into shared/private automatically)
         await saveCommentsToVCM(relativePath, comments);
@@ -2820,18 +5682,10 @@ async function activate(context) {
               edit.delete(doc.uri, range);
             } else if (matchingComment.type === "inline") {
               // Remove just the inline comment part (keep the code)
-              const lineText = lines[matchingComment.originalLineIndex];
+              const lineText = doc.lineAt(matchingComment.originalLineIndex).text;
 
               // Find where the comment starts
-              let commentStartIndex = -1;
-              for (const marker of commentMarkers) {
-                const markerRegex = new RegExp(`(\\s+)(${marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`);
-                const match = lineText.match(markerRegex);
-                if (match) {
-                  commentStartIndex = match.index;
-                  break;
-                }
-              }
+              const commentStartIndex = scannedLines[matchingComment.originalLineIndex].commentStart;
 
               if (commentStartIndex > 0) {
                 const range = new vscode.Range(
@@ -2863,172 +5717,199 @@ async function activate(context) {
   context.subscriptions.push(unmarkPrivate);
 
   // ---------------------------------------------------------------------------
-  // COMMAND: Toggle Private Comments Visibility
+  // COMMAND: Right-click -> "Show Comment History"
   // ---------------------------------------------------------------------------
-  const togglePrivateComments = vscode.commands.registerCommand(
-    "vcm-view-comments-mirror.togglePrivateComments",
+  // Lists the earlier wordings of the comment under the cursor, diffs the picked one
+  // against the current wording side by side, and offers to restore it.
+  const showCommentHistory = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.showCommentHistory",
     async () => {
       const editor = vscode.window.activeTextEditor;
       if (!editor) return;
 
-      // Disable .vcm sync during toggle to prevent overwriting
-      vcmSyncEnabled = false;
-
       const doc = editor.document;
-      const text = doc.getText();
+      const selectedLine = editor.selection.active.line;
       const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
       try {
-        // Load private comments from private VCM file
-        const { privateComments } = await loadAllComments(relativePath);
-
-        if (privateComments.length === 0) {
-          vscode.window.showInformationMessage("VCM: No private comments found in this file.");
-          vcmSyncEnabled = true;
+        const { allComments: comments } = await loadAllComments(relativePath);
+        const found = commentAtLine(doc, selectedLine, comments);
+        if (!found) {
+          vscode.window.showWarningMessage("VCM: Place the cursor on a comment to see its history.");
+          return;
+        }
+        const history = found.stored?.history || [];
+        if (history.length === 0) {
+          vscode.window.showInformationMessage("VCM: This comment has no earlier wording.");
           return;
         }
 
-        // Use stored state as source of truth (updated by undo/redo detection)
-        // Toggle flips this state
-        const storedState = privateCommentsVisible.get(doc.uri.fsPath);
-        const currentlyVisible = storedState !== undefined ? storedState : false;
-
-        let newText;
-        if (currentlyVisible) {
-          // Hide private comments - remove ONLY private comments using anchor + context hashes
-          const privateKeys = new Set(privateComments.map(c =>
-            `${c.type}:${c.anchor}:${c.prevHash || 'null'}:${c.nextHash || 'null'}`
-          ));
-
-          // Extract current comments to identify which ones are private
-          const currentComments = extractComments(text, doc.uri.path);
-
-          // Build a map of private comments by type and anchor for removal
-          const privateBlocksToRemove = [];
-          const privateInlinesToRemove = [];
-
-          for (const current of currentComments) {
-            const currentKey = `${current.type}:${current.anchor}:${current.prevHash || 'null'}:${current.nextHash || 'null'}`;
-            if (privateKeys.has(currentKey)) {
-              if (current.type === "block") {
-                privateBlocksToRemove.push(current);
-              } else if (current.type === "inline") {
-                privateInlinesToRemove.push(current);
-              }
-            }
-          }
+        // Newest first
+        const picked = await vscode.window.showQuickPick(
+          history.map((revision, index) => ({
+            label: revision.text.trim().replace(/\s*\n\s*/g, " "),
+            description: [revision.author, revision.updatedAt && new Date(revision.updatedAt).toLocaleString()].filter(Boolean).join(" · "),
+            revision,
+            index,
+          })).reverse(),
+          { placeHolder: "Earlier wordings of this comment" }
+        );
+        if (!picked) return;
+
+        // Picked wording on the left, current wording on the right
+        const current = found.current;
+        const currentText = commentBody(current.type === "inline" ? current.text : current.block);
+        const baseName = doc.fileName.split(/[\\/]/).pop();
+        const revisionUri = vscode.Uri.parse(`vcm-view:/history/${current.id}/${picked.index}/${baseName}`);
+        const currentUri = vscode.Uri.parse(`vcm-view:/history/${current.id}/current/${baseName}`);
+        provider.update(revisionUri, picked.revision.text);
+        provider.update(currentUri, currentText);
+        await vscode.commands.executeCommand("vscode.diff", revisionUri, currentUri, `${baseName}: ${picked.description || "earlier wording"} ↔ Current`);
+
+        const choice = await vscode.window.showInformationMessage("VCM: Restore this earlier wording?", "Restore");
+        if (choice !== "Restore") return;
+
+        // The stored entry takes the old wording; the wording it replaces goes to the history, so a restore can be undone too
+        const target = comments.find(c => c.id === current.id);
+        Object.assign(target, reviseComment(target, currentText, await getCommentAuthor(relativePath)));
+        const firstLine = current.type === "inline" ? current.originalLineIndex : current.block[0].originalLineIndex;
+        const lastLine = current.type === "inline" ? current.originalLineIndex : current.block[current.block.length - 1].originalLineIndex;
+        if (target.type === "inline") {
+          target.text = picked.revision.text;
+        } else {
+          target.block = picked.revision.text.split("\n").map((text, i) => ({ text, originalLineIndex: firstLine + i }));
+        }
+        target.text_cleanMode = null;
+        await saveCommentsToVCM(relativePath, comments);
 
-          // Remove private comments from the text
-          const lines = text.split("\n");
-          const linesToRemove = new Set();
+        // Put it in the document: an inline comment from its marker to the end of the line, a block line for line
+        const startChar = current.type === "inline" ? scanCommentLines(doc.getText(), doc.uri.path)[firstLine].commentStart : 0;
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(doc.uri, new vscode.Range(firstLine, startChar, lastLine, doc.lineAt(lastLine).text.length), picked.revision.text);
 
-          // Mark block comment lines for removal
-          for (const block of privateBlocksToRemove) {
-            if (block.block) {
-              for (const blockLine of block.block) {
-                linesToRemove.add(blockLine.originalLineIndex);
-              }
-            }
-          }
+        // The .vcm already matches - don't re-extract on the save below
+        justInjectedFromVCM.add(doc.uri.fsPath);
+        await vscode.workspace.applyEdit(edit);
+        await doc.save();
 
-          // Process lines: filter out block comments and strip inline comments
-          const resultLines = [];
-          for (let i = 0; i < lines.length; i++) {
-            // Skip lines that are part of private block comments
-            if (linesToRemove.has(i)) continue;
-
-            let line = lines[i];
-
-            // Check if this line has a private inline comment to remove
-            // Match by context (prevHash + nextHash), not by originalLineIndex which can shift
-            const inlineToRemove = privateInlinesToRemove.find(c => {
-              // Find the actual line this comment should be on using its anchor
-              const codeOnly = line.split(/\s+\/\/|\s+#/).slice(0, 1)[0].trimEnd();
-              const lineHash = hashLine(codeOnly, 0);
-              
-              if (lineHash !== c.anchor) return false;
-              
-              // Verify context matches
-              let prevIdx = -1;
-              for (let j = i - 1; j >= 0; j--) {
-                if (lines[j].trim()) {
-                  prevIdx = j;
-                  break;
-                }
-              }
-              let nextIdx = -1;
-              for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].trim()) {
-                  nextIdx = j;
-                  break;
-                }
-              }
-              
-              const actualPrevHash = prevIdx >= 0 ? hashLine(lines[prevIdx], 0) : null;
-              const actualNextHash = nextIdx >= 0 ? hashLine(lines[nextIdx], 0) : null;
-              
-              return actualPrevHash === c.prevHash && actualNextHash === c.nextHash;
-            });
-            
-            if (inlineToRemove) {
-              // Remove the inline comment using the same logic as stripComments
-              const commentMarkers = getCommentMarkersForFile(doc.uri.path);
-              let commentStartIdx = -1;
-              for (const marker of commentMarkers) {
-                const idx = line.indexOf(marker);
-                if (idx > 0 && line[idx - 1].match(/\s/)) {
-                  commentStartIdx = idx - 1;
-                  break;
-                }
-              }
-              if (commentStartIdx >= 0) {
-                line = line.substring(0, commentStartIdx).trimEnd();
-              }
-            }
+        vscode.window.showInformationMessage("VCM: Restored the earlier wording ⏪");
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error showing comment history: " + err.message);
+      }
+    }
+  );
+  context.subscriptions.push(showCommentHistory);
 
-            resultLines.push(line);
-          }
+  // ---------------------------------------------------------------------------
+  // Helper: Show or hide a document's private comments
+  // ---------------------------------------------------------------------------
+  // Works out the document's text with its private comments flipped and updates privateCommentsVisible.
+  // The caller applies the text. Used by the single-file and the Explorer toggles.
+  // Only private comments are removed or added: every other line stays as it is, so Always Show comments, comments typed
+  // in clean mode and comments not stored yet survive - and a guessed mode or visibility can't cost any of them.
+  // Returns { newText, visible }, or null when the file has no private comments.
+  async function switchPrivateVisibility(doc) {
+    const text = doc.getText();
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
-          newText = resultLines.join("\n");
-          privateCommentsVisible.set(doc.uri.fsPath, false);
-          vscode.window.showInformationMessage("VCM: Private comments hidden 🔒");
-        } else {
-          // Show private comments - inject them back
-          // Load shared comments too
-          const { sharedComments } = await loadAllComments(relativePath);
-
-          // Check current mode to determine what to show
-          const isInCommentedMode = isCommentedMap.get(doc.uri.fsPath);
-
-          if (isInCommentedMode) {
-            // In commented mode: show BOTH shared and private comments
-            // Strip ALL comments first, then inject both shared and private
-            const allCommentsForStripping = [...sharedComments, ...privateComments];
-            const cleanText = stripComments(text, doc.uri.path, allCommentsForStripping, false, false);
-
-            // Inject both shared and private comments
-            const allCommentsToInject = [...sharedComments, ...privateComments];
-            newText = injectComments(cleanText, allCommentsToInject, true);
-          } else {
-            // In clean mode: show ONLY private comments
-            // Strip any existing private comments first (to avoid double injection)
-            const cleanText = stripComments(text, doc.uri.path, privateComments, false, false);
+    // Load private comments from private VCM file
+    const { sharedComments, privateComments } = await loadAllComments(relativePath);
+    if (privateComments.length === 0) return null;
 
-            // Inject only private comments
-            newText = injectComments(cleanText, privateComments, true);
-          }
+    // Use stored state as source of truth (updated by undo/redo detection)
+    // Toggle flips this state
+    const storedState = privateCommentsVisible.get(doc.uri.fsPath);
+    const currentlyVisible = storedState !== undefined ? storedState : false;
+
+    // Remove ONLY the comments whose stored entry is private
+    const privateIds = new Set(privateComments.map(c => c.id));
+
+    // Extract current comments and match them to stored entries to identify which ones are private
+    const currentComments = extractComments(text, doc.uri.path);
+    matchStoredComments(currentComments, [...sharedComments, ...privateComments]);
+    const privateCurrent = currentComments.filter(c => privateIds.has(c.id));
+
+    // Lines of private block comments, and code lines carrying a private inline comment
+    const linesToRemove = new Set();
+    const inlineLinesToStrip = new Set();
+    for (const current of privateCurrent) {
+      if (current.type === "block" && current.block) {
+        for (const blockLine of current.block) {
+          linesToRemove.add(blockLine.originalLineIndex);
+        }
+      } else if (current.type === "inline") {
+        inlineLinesToStrip.add(current.originalLineIndex);
+      }
+    }
+
+    // Process lines: filter out block comments and strip inline comments
+    const lines = text.split("\n");
+    const scannedLines = scanCommentLines(text, doc.uri.path);
+    const resultLines = [];
+    for (let i = 0; i < lines.length; i++) {
+      // Skip lines that are part of private block comments
+      if (linesToRemove.has(i)) continue;
+
+      let line = lines[i];
+      if (inlineLinesToStrip.has(i)) {
+        // Remove the inline comment using the same scanner as stripComments
+        const commentStartIdx = scannedLines[i].commentStart;
+        if (commentStartIdx >= 0) {
+          line = line.substring(0, commentStartIdx).trimEnd();
+        }
+      }
+
+      resultLines.push(line);
+    }
+    const withoutPrivate = resultLines.join("\n");
+
+    if (currentlyVisible) {
+      // Hide private comments
+      privateCommentsVisible.set(doc.uri.fsPath, false);
+      recordFileState(doc, withoutPrivate);
+      return { newText: withoutPrivate, visible: false };
+    }
+
+    // Show private comments - inject them back next to whatever the file shows now (both modes)
+    // Any that were already showing were removed above, so none is injected twice
+    const newText = injectComments(withoutPrivate, privateComments, true, doc.uri.path, null, await getLineSymbols(doc, withoutPrivate));
+
+    privateCommentsVisible.set(doc.uri.fsPath, true);
+
+    // Mark that we just injected from VCM so saveVCM doesn't re-extract these as shared comments
+    justInjectedFromVCM.add(doc.uri.fsPath);
+
+    recordFileState(doc, newText);
+    return { newText, visible: true };
+  }
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Toggle Private Comments Visibility
+  // ---------------------------------------------------------------------------
+  const togglePrivateComments = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.togglePrivateComments",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
 
-          privateCommentsVisible.set(doc.uri.fsPath, true);
+      // Disable .vcm sync during toggle to prevent overwriting
+      vcmSyncEnabled = false;
 
-          // Mark that we just injected from VCM so saveVCM doesn't re-extract these as shared comments
-          justInjectedFromVCM.add(doc.uri.fsPath);
+      const doc = editor.document;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
-          vscode.window.showInformationMessage("VCM: Private comments visible 🔓");
+      try {
+        const result = await switchPrivateVisibility(doc);
+        if (!result) {
+          vscode.window.showInformationMessage("VCM: No private comments found in this file.");
+          vcmSyncEnabled = true;
+          return;
         }
+        vscode.window.showInformationMessage(result.visible ? "VCM: Private comments visible 🔓" : "VCM: Private comments hidden 🔒");
 
         // Replace entire document content
         const edit = new vscode.WorkspaceEdit();
-        edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+        edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), result.newText);
         await vscode.workspace.applyEdit(edit);
         await vscode.commands.executeCommand("workbench.action.files.save");
 
@@ -3065,6 +5946,311 @@ async function activate(context) {
   );
   context.subscriptions.push(togglePrivateComments);
 
+  // ---------------------------------------------------------------------------
+  // VIEW: Orphaned comments (stored comments whose code could not be found)
+  // ---------------------------------------------------------------------------
+  // injectComments() reports comments it can't place, and the toggle flags them orphaned: true in .vcm.
+  // This view lists them per file so they can be re-attached, turned into a file header or deleted.
+
+  // Walk the shared and private mirrors of every workspace folder for entries flagged as orphaned
+  async function collectOrphanedComments() {
+    const byFile = new Map();
+
+    const walk = async (dirUri, folderUri, prefix, isPrivate) => {
+      let entries;
+      try {
+        entries = await vscode.workspace.fs.readDirectory(dirUri);
+      } catch {
+        return; // This layer has no VCM files yet
+      }
+
+      for (const [name, type] of entries) {
+        const childUri = vscode.Uri.joinPath(dirUri, name);
+        if (type === vscode.FileType.Directory) {
+          await walk(childUri, folderUri, prefix + name + "/", isPrivate);
+          continue;
+        }
+        if (!name.endsWith(".vcm.json")) continue;
+
+        let data;
+        try {
+          data = await decodeVcmData(await vscode.workspace.fs.readFile(childUri), false);
+        } catch {
+          continue; // Unreadable VCM file - nothing to list
+        }
+        if (data.locked) continue; // Encrypted, and the passphrase isn't known yet
+
+        const comments = migrateVcmComments(data);
+        if (comments === null) continue; // Written by a newer version - its comments can't be handled here
+        const orphans = comments.filter(c => c.orphaned);
+        if (orphans.length === 0) continue;
+
+        const folderPath = data.file || prefix + name.slice(0, -".vcm.json".length);
+        const relativePath = workspacePathOf(folderUri, folderPath);
+        if (!byFile.has(relativePath)) {
+          byFile.set(relativePath, { relativePath, fileUri: vscode.Uri.joinPath(folderUri, folderPath), comments: [] });
+        }
+        byFile.get(relativePath).comments.push(...orphans.map(comment => ({ comment, isPrivate })));
+      }
+    };
+
+    for (const { folderUri, storage } of await allStorages()) {
+      await walk(storage.rootUri, folderUri, "", storage.layer === "private");
+    }
+    return [...byFile.values()].sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  const orphanedProvider = new OrphanedCommentsProvider(collectOrphanedComments);
+  context.subscriptions.push(
+    vscode.window.createTreeView("vcmOrphanedComments", { treeDataProvider: orphanedProvider })
+  );
+
+  // Every writer (toggle, save, commands) goes through the .vcm files, so watching them keeps the view current
+  // (a glob without a base folder covers every workspace folder, including ones added later)
+  const orphanedWatcher = vscode.workspace.createFileSystemWatcher("**/.vcm/**/*.vcm.json");
+  orphanedWatcher.onDidCreate(() => orphanedProvider.refresh());
+  orphanedWatcher.onDidChange(() => orphanedProvider.refresh());
+  orphanedWatcher.onDidDelete(() => orphanedProvider.refresh());
+  context.subscriptions.push(orphanedWatcher);
+
+  // Workspace folders added or removed at runtime
+  // Mirrors are found from each file's folder, so added folders just work; files of a removed folder may stay
+  // open but are no longer mirrored (saveVCM skips them), so forget their mode and private visibility
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeWorkspaceFolders((e) => {
+      for (const folder of e.removed) {
+        const inFolder = (fsPath) => fsPath === folder.uri.fsPath || fsPath.startsWith(folder.uri.fsPath + path.sep);
+        for (const stateMap of [isCommentedMap, privateCommentsVisible]) {
+          for (const key of [...stateMap.keys()]) {
+            if (inFolder(key)) stateMap.delete(key);
+          }
+        }
+      }
+      orphanedProvider.refresh();
+      updateAlwaysShowContext();
+    })
+  );
+
+  // Load the file's comments, let update() rewrite the orphaned entry (return null to delete it), then save
+  // Returns the updated entry, or undefined when the entry is no longer in .vcm
+  async function updateOrphanedComment(element, update) {
+    const { allComments } = await loadAllComments(element.relativePath);
+    const index = allComments.findIndex(c => c.id === element.comment.id && c.orphaned);
+    if (index < 0) {
+      vscode.window.showWarningMessage("VCM: That orphaned comment is no longer in .vcm.");
+      orphanedProvider.refresh();
+      return undefined;
+    }
+
+    const updated = update(allComments[index]);
+    if (updated) {
+      allComments[index] = updated;
+    } else {
+      allComments.splice(index, 1);
+    }
+    await saveCommentsToVCM(element.relativePath, allComments);
+    orphanedProvider.refresh();
+    return updated;
+  }
+
+  // Is this comment currently shown in the document? (shared → commented mode, private → private toggle)
+  async function isCommentVisible(doc, relativePath, isPrivate) {
+    if (!isCommentedMap.has(doc.uri.fsPath)) {
+      isCommentedMap.set(doc.uri.fsPath, await initialMode(doc));
+    }
+    if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+      privateCommentsVisible.set(doc.uri.fsPath, await initialPrivateVisibility(doc));
+    }
+    return isPrivate ? privateCommentsVisible.get(doc.uri.fsPath) === true : isCommentedMap.get(doc.uri.fsPath) === true;
+  }
+
+  // Insert text into the document without re-extracting it (the .vcm entry was already updated)
+  async function insertWithoutSync(doc, position, text) {
+    vcmSyncEnabled = false;
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(doc.uri, position, text);
+    await vscode.workspace.applyEdit(edit);
+    await doc.save();
+    setTimeout(() => (vcmSyncEnabled = true), 800);
+  }
+
+  // The comment's lines as injectComments would show them (text typed in clean mode wins)
+  const orphanedCommentLines = (comment) => {
+    if (comment.type === "inline") return [comment.text_cleanMode || comment.text || ""];
+    return (comment.text_cleanMode || comment.block || []).map(l => l.text);
+  };
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Orphaned comments view -> "Re-attach at Cursor"
+  // ---------------------------------------------------------------------------
+  const reattachOrphanedComment = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.reattachOrphanedComment",
+    async (element) => {
+      if (!element || element.kind !== "comment") return;
+
+      // The cursor must be in the comment's own file
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || vscode.workspace.asRelativePath(editor.document.uri) !== element.relativePath) {
+        try {
+          await vscode.window.showTextDocument(element.fileUri);
+          vscode.window.showInformationMessage("VCM: Place the cursor on the line to attach to, then run Re-attach at Cursor again.");
+        } catch {
+          vscode.window.showErrorMessage(`VCM: ${element.relativePath} no longer exists.`);
+        }
+        return;
+      }
+
+      const doc = editor.document;
+      const lines = doc.getText().split("\n");
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const isCodeLine = (i) => lines[i].trim() && !scannedLines[i].isComment;
+
+      // Attach to the cursor line, or the first code line below it when the cursor is on a blank or comment line
+      let anchorLineIndex = -1;
+      for (let i = editor.selection.active.line; i < lines.length; i++) {
+        if (isCodeLine(i)) {
+          anchorLineIndex = i;
+          break;
+        }
+      }
+      if (anchorLineIndex === -1) {
+        vscode.window.showWarningMessage("VCM: No code line at or below the cursor to attach the comment to.");
+        return;
+      }
+
+      let prevIdx = -1;
+      for (let j = anchorLineIndex - 1; j >= 0; j--) {
+        if (isCodeLine(j)) {
+          prevIdx = j;
+          break;
+        }
+      }
+      let nextIdx = -1;
+      for (let j = anchorLineIndex + 1; j < lines.length; j++) {
+        if (isCodeLine(j)) {
+          nextIdx = j;
+          break;
+        }
+      }
+
+      const codeText = codePortion(lines[anchorLineIndex], scannedLines[anchorLineIndex]);
+      const symbolPath = (await getLineSymbols(doc))?.[anchorLineIndex] || undefined;
+      const updated = await updateOrphanedComment(element, (stored) => {
+        const { orphaned, ...rest } = stored;
+        const reattached = {
+          ...rest,
+          anchor: hashLine(codeText, 0),
+          anchorText: codeText.trimEnd(),
+          prevHash: prevIdx >= 0 ? hashLine(codePortion(lines[prevIdx], scannedLines[prevIdx]), 0) : null,
+          nextHash: nextIdx >= 0 ? hashLine(codePortion(lines[nextIdx], scannedLines[nextIdx]), 0) : null,
+          symbolPath,
+        };
+        if (reattached.type === "inline") reattached.originalLineIndex = anchorLineIndex;
+        delete reattached.anchorKind;
+        return reattached;
+      });
+      if (!updated) return;
+
+      // Show it right away if its layer is visible in this mode
+      if (await isCommentVisible(doc, element.relativePath, element.isPrivate)) {
+        if (updated.type === "inline") {
+          const lineText = doc.lineAt(anchorLineIndex).text;
+          await insertWithoutSync(doc, new vscode.Position(anchorLineIndex, lineText.length), orphanedCommentLines(updated)[0]);
+        } else {
+          await insertWithoutSync(doc, new vscode.Position(anchorLineIndex, 0), orphanedCommentLines(updated).join("\n") + "\n");
+        }
+      }
+
+      vscode.window.showInformationMessage(`VCM: Comment re-attached to line ${anchorLineIndex + 1}`);
+    }
+  );
+  context.subscriptions.push(reattachOrphanedComment);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Orphaned comments view -> "Convert to File-Header Comment"
+  // ---------------------------------------------------------------------------
+  const convertOrphanedToHeader = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.convertOrphanedToHeader",
+    async (element) => {
+      if (!element || element.kind !== "comment") return;
+
+      let doc;
+      try {
+        doc = await vscode.workspace.openTextDocument(element.fileUri);
+      } catch {
+        vscode.window.showErrorMessage(`VCM: ${element.relativePath} no longer exists.`);
+        return;
+      }
+
+      const lines = doc.getText().split("\n");
+      const scannedLines = scanCommentLines(doc.getText(), doc.uri.path);
+      const firstCodeIndex = lines.findIndex((line, i) => line.trim() && !scannedLines[i].isComment);
+
+      const updated = await updateOrphanedComment(element, (stored) => {
+        const { orphaned, ...rest } = stored;
+        const header = {
+          ...rest,
+          type: "block",
+          anchorKind: "fileStart", // injectComments puts it above the first line, whatever that line is
+          anchor: hashLine(firstCodeIndex >= 0 ? codePortion(lines[firstCodeIndex], scannedLines[firstCodeIndex]) : "", 0),
+          anchorText: firstCodeIndex >= 0 ? codePortion(lines[firstCodeIndex], scannedLines[firstCodeIndex]).trimEnd() : "",
+          prevHash: null,
+          insertAbove: true,
+        };
+        delete header.symbolPath; // The top of the file is outside every symbol
+
+        // An inline comment becomes a one-line block without the spacing that separated it from its code
+        if (stored.type === "inline") {
+          header.block = [{ text: orphanedCommentLines(stored)[0].trim(), originalLineIndex: 0 }];
+          header.text_cleanMode = null;
+          delete header.text;
+          delete header.originalLineIndex;
+        }
+        return header;
+      });
+      if (!updated) return;
+
+      // Show it right away if its layer is visible in this mode (above the first non-blank line, like injectComments)
+      if (await isCommentVisible(doc, element.relativePath, element.isPrivate)) {
+        const firstNonBlank = lines.findIndex(l => l.trim());
+        const insertLine = firstNonBlank >= 0 ? firstNonBlank : lines.length;
+        await insertWithoutSync(doc, new vscode.Position(insertLine, 0), orphanedCommentLines(updated).join("\n") + "\n");
+      }
+
+      vscode.window.showInformationMessage(`VCM: Comment moved to the top of ${element.relativePath}`);
+    }
+  );
+  context.subscriptions.push(convertOrphanedToHeader);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Orphaned comments view -> "Delete"
+  // ---------------------------------------------------------------------------
+  const deleteOrphanedComment = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.deleteOrphanedComment",
+    async (element) => {
+      if (!element || element.kind !== "comment") return;
+
+      const choice = await vscode.window.showWarningMessage(
+        `VCM: Permanently delete this orphaned comment from ${element.relativePath}?`,
+        { modal: true },
+        "Delete"
+      );
+      if (choice !== "Delete") return;
+
+      const found = await updateOrphanedComment(element, () => null);
+      if (found !== undefined) {
+        vscode.window.showInformationMessage("VCM: Orphaned comment deleted 🗑️");
+      }
+    }
+  );
+  context.subscriptions.push(deleteOrphanedComment);
+
+  const refreshOrphanedComments = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.refreshOrphanedComments",
+    () => orphanedProvider.refresh()
+  );
+  context.subscriptions.push(refreshOrphanedComments);
+
   // ---------------------------------------------------------------------------
   // COMMAND: Split view with/without comments
   // ---------------------------------------------------------------------------
@@ -3084,7 +6270,6 @@ async function activate(context) {
     }
 
     const relativePath = vscode.workspace.asRelativePath(doc.uri);
-    const vcmFileUri = vscode.Uri.joinPath(vcmDir, relativePath + ".vcm.json");
     const baseName = doc.fileName.split(/[\\/]/).pop();
     const vcmLabel = `VCM_${baseName}`;
 
@@ -3103,13 +6288,13 @@ async function activate(context) {
 
     // Detect initial state if not already set
     if (!isCommentedMap.has(doc.uri.fsPath)) {
-      const initialState = await detectInitialMode(doc, vcmDir);
+      const initialState = await initialMode(doc);
       isCommentedMap.set(doc.uri.fsPath, initialState);
     }
 
     // Detect private comment visibility if not already set
     if (!privateCommentsVisible.has(doc.uri.fsPath)) {
-      const privateVisible = await detectPrivateVisibility(doc, relativePath);
+      const privateVisible = await initialPrivateVisibility(doc);
       privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
     }
 
@@ -3121,7 +6306,7 @@ async function activate(context) {
     // Let stripComments and injectComments decide what to do based on keepPrivate flag
     const allComments = [...sharedComments, ...privateComments];
     const clean = stripComments(text, doc.uri.path, allComments, keepPrivate);
-    const withComments = injectComments(clean, allComments, keepPrivate);
+    const withComments = injectComments(clean, allComments, keepPrivate, doc.uri.path, null, await getLineSymbols(doc, clean));
 
     // Check the current mode from our state map
     const isInCommentedMode = isCommentedMap.get(doc.uri.fsPath);